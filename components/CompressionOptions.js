@@ -0,0 +1,157 @@
+/* EXPORTS: CompressionOptions (default) */
+
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Label } from './ui/label';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { Switch } from './ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Badge } from './ui/badge';
+import { Gauge, Plus, X } from 'lucide-react';
+import { DEFAULT_COMPRESSION_POLICY, validateCompressionOverride } from '../lib/compressionPolicy';
+
+const levels = [
+  { value: '0', label: '0 - Store (no compression)' },
+  { value: '1', label: '1 - Fastest' },
+  { value: '3', label: '3 - Fast' },
+  { value: '6', label: '6 - Default' },
+  { value: '9', label: '9 - Smallest' }
+];
+
+const getLevelLabel = (level) => (level === 0 ? 'store' : `level ${level}`);
+
+const CompressionOptions = ({ onPolicyChange }) => {
+  const [policy, setPolicy] = useState(DEFAULT_COMPRESSION_POLICY);
+
+  const [newOverride, setNewOverride] = useState({ pattern: '', level: 0 });
+
+  const [overrideError, setOverrideError] = useState('');
+
+  const updatePolicy = (updates) => {
+    const newPolicy = { ...policy, ...updates };
+    setPolicy(newPolicy);
+    onPolicyChange?.(newPolicy);
+  };
+
+  const addOverride = () => {
+    const error = validateCompressionOverride(newOverride);
+    if (error) {
+      setOverrideError(error);
+      return;
+    }
+    updatePolicy({ overrides: [...policy.overrides, { ...newOverride, id: Date.now() }] });
+    setNewOverride({ pattern: '', level: 0 });
+    setOverrideError('');
+  };
+
+  const removeOverride = (overrideId) => {
+    updatePolicy({ overrides: policy.overrides.filter(override => override.id !== overrideId) });
+  };
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Gauge className="h-5 w-5" />
+          Compression
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-2">
+          <Label>Compression Level</Label>
+          <Select
+            value={String(policy.level)}
+            onValueChange={(value) => updatePolicy({ level: Number(value) })}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {levels.map((level) => (
+                <SelectItem key={level.value} value={level.value}>
+                  {level.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <Switch
+            id="store-precompressed"
+            checked={policy.storePrecompressed}
+            onCheckedChange={(checked) => updatePolicy({ storePrecompressed: checked })}
+          />
+          <Label htmlFor="store-precompressed">Store already-compressed files (png, jpg, zip, woff2...)</Label>
+        </div>
+
+        {/* Per-glob overrides, last match wins */}
+        <div className="space-y-3">
+          <Label className="text-sm font-medium">Overrides</Label>
+
+          <AnimatePresence>
+            {policy.overrides.map((override) => (
+              <motion.div
+                key={override.id}
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: -20 }}
+                className="flex items-center gap-2 p-2 bg-muted rounded-md"
+              >
+                <span className="text-sm font-mono flex-1 truncate">{override.pattern}</span>
+                <Badge variant="outline">{getLevelLabel(override.level)}</Badge>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => removeOverride(override.id)}
+                >
+                  <X className="h-3 w-3" />
+                </Button>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+
+          <div className="flex gap-2">
+            <Input
+              placeholder="Glob (*.svg, assets/**/*.bin)"
+              value={newOverride.pattern}
+              onChange={(e) => {
+                setNewOverride({ ...newOverride, pattern: e.target.value });
+                setOverrideError('');
+              }}
+              className="flex-1"
+            />
+            <Select
+              value={String(newOverride.level)}
+              onValueChange={(value) => setNewOverride({ ...newOverride, level: Number(value) })}
+            >
+              <SelectTrigger className="w-32">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Array.from({ length: 10 }, (_, level) => (
+                  <SelectItem key={level} value={String(level)}>
+                    {getLevelLabel(level)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button onClick={addOverride} size="sm">
+              <Plus className="h-4 w-4" />
+            </Button>
+          </div>
+          {overrideError && (
+            <p className="text-sm text-destructive">{overrideError}</p>
+          )}
+          <p className="text-xs text-muted-foreground">
+            Patterns without a &quot;/&quot; match file names; others match paths inside the root folder.
+          </p>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CompressionOptions;
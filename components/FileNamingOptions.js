@@ -1,6 +1,6 @@
 /* EXPORTS: FileNamingOptions (default) */
 
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Label } from './ui/label';
@@ -10,19 +10,12 @@ import { Switch } from './ui/switch';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Badge } from './ui/badge';
 import { Info, Plus, X, FileText } from 'lucide-react';
+import { DEFAULT_NAMING_CONFIG, validateNamingRule } from '../lib/fileNaming';
 
-const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
-  const [config, setConfig] = useState({
-    useCustomPrefix: false,
-    customPrefix: '',
-    useTimestamp: true,
-    timestampFormat: 'iso',
-    useIndexing: false,
-    indexFormat: 'numeric',
-    preserveOriginalNames: true,
-    fileExtension: 'auto',
-    customRules: []
-  });
+const PREVIEW_LIMIT = 3;
+
+const FileNamingOptions = ({ onConfigChange, plan }) => {
+  const [config, setConfig] = useState(DEFAULT_NAMING_CONFIG);
 
   const [newRule, setNewRule] = useState({
     pattern: '',
@@ -30,6 +23,8 @@ const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
     applyTo: 'all'
   });
 
+  const [ruleError, setRuleError] = useState('');
+
   const [showAdvanced, setShowAdvanced] = useState(false);
 
   const timestampFormats = [
@@ -53,6 +48,12 @@ const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
     { value: 'none', label: 'No extension' }
   ];
 
+  const extensionPolicies = [
+    { value: 'keep', label: 'Keep extension from key (Button.js)' },
+    { value: 'replace', label: 'Replace with detected (Button.css)' },
+    { value: 'append', label: 'Append detected (Button.js.js)' }
+  ];
+
   const updateConfig = (updates) => {
     const newConfig = { ...config, ...updates };
     setConfig(newConfig);
@@ -60,11 +61,15 @@ const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
   };
 
   const addCustomRule = () => {
-    if (newRule.pattern.trim()) {
-      const updatedRules = [...config.customRules, { ...newRule, id: Date.now() }];
-      updateConfig({ customRules: updatedRules });
-      setNewRule({ pattern: '', replacement: '', applyTo: 'all' });
+    const error = validateNamingRule(newRule);
+    if (error) {
+      setRuleError(error);
+      return;
     }
+    const updatedRules = [...config.customRules, { ...newRule, id: Date.now() }];
+    updateConfig({ customRules: updatedRules });
+    setNewRule({ pattern: '', replacement: '', applyTo: 'all' });
+    setRuleError('');
   };
 
   const removeCustomRule = (ruleId) => {
@@ -72,56 +77,15 @@ const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
     updateConfig({ customRules: updatedRules });
   };
 
-  const generatePreview = () => {
-    if (!jsonStructure) return 'example-file.json';
-    
-    let preview = '';
-    
-    if (config.useCustomPrefix && config.customPrefix) {
-      preview += config.customPrefix + '_';
-    }
-    
-    preview += 'data';
-    
-    if (config.useIndexing) {
-      switch (config.indexFormat) {
-        case 'numeric':
-          preview += '_001';
-          break;
-        case 'alpha':
-          preview += '_a';
-          break;
-        case 'roman':
-          preview += '_i';
-          break;
-      }
-    }
-    
-    if (config.useTimestamp) {
-      switch (config.timestampFormat) {
-        case 'iso':
-          preview += '_2024-01-01T12-00-00Z';
-          break;
-        case 'date':
-          preview += '_2024-01-01';
-          break;
-        case 'unix':
-          preview += '_1704110400';
-          break;
-        case 'readable':
-          preview += '_Jan-01-2024';
-          break;
-      }
-    }
-    
-    if (config.fileExtension === 'auto') {
-      preview += '.json';
-    } else if (config.fileExtension !== 'none') {
-      preview += config.fileExtension;
-    }
-    
-    return preview;
-  };
+  // Names come from the page's build plan, which is re-planned with the same options and date as the download
+  const previewNames = useMemo(() => {
+    const prefix = plan?.rootName ? `${plan.rootName}/` : '';
+    // README, manifests and empty-object markers have no origin in the document
+    const names = (plan?.entries || [])
+      .filter(entry => entry.type === 'file' && entry.origin)
+      .map(entry => entry.path.slice(prefix.length));
+    return names.length > 0 ? names : ['example-file.json'];
+  }, [plan]);
 
   return (
     <Card className="w-full">
@@ -135,8 +99,15 @@ const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
         {/* Preview */}
         <div className="p-3 bg-muted rounded-lg">
           <Label className="text-sm font-medium">Preview:</Label>
-          <div className="mt-1 font-mono text-sm text-foreground">
-            {generatePreview()}
+          <div className="mt-1 space-y-1 font-mono text-sm text-foreground">
+            {previewNames.slice(0, PREVIEW_LIMIT).map((name) => (
+              <div key={name} className="truncate" title={name}>{name}</div>
+            ))}
+            {previewNames.length > PREVIEW_LIMIT && (
+              <div className="text-xs text-muted-foreground">
+                +{previewNames.length - PREVIEW_LIMIT} more files
+              </div>
+            )}
           </div>
         </div>
 
@@ -263,6 +234,26 @@ const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
           </Select>
         </div>
 
+        {/* Extensions already present in keys */}
+        <div className="space-y-2">
+          <Label>Existing Extensions in Keys</Label>
+          <Select
+            value={config.extensionPolicy}
+            onValueChange={(value) => updateConfig({ extensionPolicy: value })}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {extensionPolicies.map((policy) => (
+                <SelectItem key={policy.value} value={policy.value}>
+                  {policy.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
         {/* Advanced Options Toggle */}
         <div className="flex items-center justify-between pt-4 border-t">
           <Button
@@ -327,7 +318,10 @@ const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
                   <Input
                     placeholder="Pattern (regex)"
                     value={newRule.pattern}
-                    onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
+                    onChange={(e) => {
+                      setNewRule({ ...newRule, pattern: e.target.value });
+                      setRuleError('');
+                    }}
                     className="flex-1"
                   />
                   <Input
@@ -353,6 +347,9 @@ const FileNamingOptions = ({ onConfigChange, jsonStructure }) => {
                     <Plus className="h-4 w-4" />
                   </Button>
                 </div>
+                {ruleError && (
+                  <p className="text-sm text-destructive">{ruleError}</p>
+                )}
               </div>
             </motion.div>
           )}
@@ -0,0 +1,200 @@
+/* EXPORTS: FolderOutput (default) */
+
+import React, { useEffect, useState } from 'react';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Progress } from './ui/progress';
+import { Alert, AlertDescription } from './ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { AlertCircle, CheckCircle2, Download, FolderDown, X } from 'lucide-react';
+import {
+  CONFLICT_POLICIES,
+  isFolderWriteSupported,
+  pickOutputFolder,
+  planFolderWrite,
+  writePlanToFolder
+} from '../lib/folderWriter';
+
+const ACTIONS = {
+  create: { label: 'new', variant: 'default' },
+  replace: { label: 'replaced', variant: 'secondary' },
+  delete: { label: 'deleted', variant: 'destructive' },
+  skip: { label: 'skipped', variant: 'outline' },
+  unchanged: { label: 'unchanged', variant: 'outline' }
+};
+
+// Writes the planned files into a folder picked by the user, after a dry run of what will change
+const FolderOutput = ({ plan, disabled, onFallback }) => {
+  // Only known in the browser, so it is checked after the first render
+  const [supported, setSupported] = useState(true);
+  const [policy, setPolicy] = useState('merge');
+  const [directory, setDirectory] = useState(null);
+  const [dryRun, setDryRun] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [written, setWritten] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setSupported(isFolderWriteSupported());
+  }, []);
+
+  // A new plan needs a new dry run
+  useEffect(() => {
+    setDryRun(null);
+    setWritten(null);
+  }, [plan]);
+
+  const runDryRun = async (folder, conflictPolicy) => {
+    setError('');
+    setWritten(null);
+    try {
+      setDryRun(await planFolderWrite(folder, plan, conflictPolicy));
+    } catch (err) {
+      setDryRun(null);
+      setError('Failed to read the folder: ' + err.message);
+    }
+  };
+
+  const handleChooseFolder = async () => {
+    try {
+      const folder = await pickOutputFolder();
+      if (!folder) return;
+      setDirectory(folder);
+      await runDryRun(folder, policy);
+    } catch (err) {
+      setError('Failed to open the folder: ' + err.message);
+    }
+  };
+
+  const handlePolicyChange = (value) => {
+    setPolicy(value);
+    if (directory && dryRun) {
+      runDryRun(directory, value);
+    }
+  };
+
+  const handleWrite = async () => {
+    setProgress({ percent: 0, currentFile: null });
+    setError('');
+    try {
+      const count = await writePlanToFolder(directory, plan, dryRun.changes, { onProgress: setProgress });
+      setWritten(count);
+      setDryRun(null);
+    } catch (err) {
+      setError('Failed to write to the folder: ' + err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  if (!supported) {
+    return (
+      <div className="flex flex-wrap items-center justify-between gap-2 rounded-md border p-3">
+        <p className="text-xs text-gray-600">
+          Writing straight to a folder needs a Chromium-based browser; download the archive instead.
+        </p>
+        <Button size="sm" variant="outline" onClick={onFallback} disabled={disabled} className="flex items-center gap-1">
+          <Download className="h-3 w-3" />
+          Download
+        </Button>
+      </div>
+    );
+  }
+
+  const pending = dryRun ? dryRun.changes.filter(change => change.action !== 'unchanged') : [];
+  const hasChanges = pending.some(change => change.action !== 'skip');
+
+  return (
+    <div className="space-y-3 rounded-md border p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Label htmlFor="conflict-policy" className="whitespace-nowrap">Write to folder</Label>
+        <Select value={policy} onValueChange={handlePolicyChange} disabled={progress !== null}>
+          <SelectTrigger id="conflict-policy" className="w-[150px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(CONFLICT_POLICIES).map(([value, conflictPolicy]) => (
+              <SelectItem key={value} value={value} title={conflictPolicy.description}>
+                {conflictPolicy.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={handleChooseFolder}
+          disabled={disabled || !plan || progress !== null}
+          className="flex items-center gap-1"
+        >
+          <FolderDown className="h-3 w-3" />
+          {directory ? `Folder: ${directory.name}` : 'Choose folder'}
+        </Button>
+      </div>
+      <p className="text-xs text-gray-600">{CONFLICT_POLICIES[policy].description}.</p>
+
+      {dryRun && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            {Object.entries(ACTIONS).filter(([action]) => dryRun.counts[action]).map(([action, { label, variant }]) => (
+              <Badge key={action} variant={variant}>
+                {dryRun.counts[action]} {label}
+              </Badge>
+            ))}
+          </div>
+
+          {pending.length > 0 && (
+            <div className="max-h-48 overflow-auto rounded-md border">
+              <ul className="divide-y text-xs">
+                {pending.map(change => (
+                  <li key={change.path} className="flex items-center justify-between gap-2 px-3 py-1">
+                    <span className="font-mono truncate">{change.type === 'folder' ? `${change.path}/` : change.path}</span>
+                    <Badge variant={ACTIONS[change.action].variant}>{ACTIONS[change.action].label}</Badge>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2">
+            <Button size="sm" onClick={handleWrite} disabled={!hasChanges || progress !== null}>
+              {progress ? 'Writing...' : 'Write changes'}
+            </Button>
+            <Button size="sm" variant="outline" onClick={() => setDryRun(null)} disabled={progress !== null} className="flex items-center gap-1">
+              <X className="h-3 w-3" />
+              Cancel
+            </Button>
+            {!hasChanges && <span className="text-xs text-gray-600">The folder is already up to date</span>}
+          </div>
+        </div>
+      )}
+
+      {progress && (
+        <div className="space-y-1">
+          <Progress value={progress.percent} />
+          <div className="flex justify-between gap-2 text-xs text-gray-600">
+            <span className="font-mono truncate">{progress.currentFile || 'Finishing...'}</span>
+            <span>{Math.floor(progress.percent)}%</span>
+          </div>
+        </div>
+      )}
+
+      {written !== null && (
+        <p className="flex items-center gap-1 text-xs text-green-700">
+          <CheckCircle2 className="h-3 w-3" />
+          {written} change{written === 1 ? '' : 's'} written to {directory.name}
+        </p>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription className="text-xs">{error}</AlertDescription>
+        </Alert>
+      )}
+    </div>
+  );
+};
+
+export default FolderOutput;
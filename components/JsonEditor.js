@@ -0,0 +1,129 @@
+/* EXPORTS: JsonEditor (default) */
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+// Fixed line metrics keep the gutter and the error highlights aligned with the text
+const LINE_HEIGHT = 20;
+const PADDING = 8;
+
+const countLines = (text) => {
+  let count = 1;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+};
+
+// Selects the character at an error and scrolls its line into the upper third of the editor
+const revealError = (textarea, error, focus) => {
+  if (focus) {
+    textarea.focus({ preventScroll: true });
+  }
+  textarea.setSelectionRange(error.offset, Math.min(error.offset + 1, textarea.value.length));
+  textarea.scrollTop = Math.max(0, (error.line - 1) * LINE_HEIGHT - textarea.clientHeight / 3);
+};
+
+const JsonEditor = ({ value, onChange, errors = [], revealErrors = true, placeholder, className }) => {
+  const textareaRef = useRef(null);
+  const gutterRef = useRef(null);
+  const highlightRef = useRef(null);
+
+  const lineCount = useMemo(() => countLines(value), [value]);
+  const lineNumbers = useMemo(
+    () => Array.from({ length: lineCount }, (_, index) => index + 1).join('\n'),
+    [lineCount]
+  );
+  const errorLines = [...new Set(errors.map(error => error.line))];
+
+  const syncScroll = () => {
+    const { scrollTop } = textareaRef.current;
+    gutterRef.current.scrollTop = scrollTop;
+    highlightRef.current.scrollTop = scrollTop;
+  };
+
+  const showError = (error) => {
+    revealError(textareaRef.current, error, true);
+    syncScroll();
+  };
+
+  // Jump to the first error whenever a new set of errors is reported
+  useEffect(() => {
+    if (!revealErrors || errors.length === 0 || !textareaRef.current) return;
+    revealError(textareaRef.current, errors[0], false);
+    gutterRef.current.scrollTop = textareaRef.current.scrollTop;
+    highlightRef.current.scrollTop = textareaRef.current.scrollTop;
+  }, [errors, revealErrors]);
+
+  // Leaves room for a horizontal scrollbar so the layers can scroll as far as the text
+  const contentHeight = lineCount * LINE_HEIGHT + PADDING * 2 + 24;
+
+  return (
+    <div className="space-y-2">
+      <div
+        className={cn(
+          'relative flex h-[300px] resize-y overflow-hidden rounded-md border font-mono text-sm shadow-sm',
+          errors.length > 0 ? 'border-red-300' : 'border-input',
+          className
+        )}
+      >
+        {/* Error lines, drawn behind the gutter and the text */}
+        <div ref={highlightRef} className="pointer-events-none absolute inset-0 overflow-hidden">
+          <div className="relative" style={{ height: contentHeight }}>
+            {errorLines.map(line => (
+              <div
+                key={line}
+                className="absolute left-0 right-0 bg-red-100"
+                style={{ top: PADDING + (line - 1) * LINE_HEIGHT, height: LINE_HEIGHT }}
+              />
+            ))}
+          </div>
+        </div>
+
+        <div
+          ref={gutterRef}
+          aria-hidden="true"
+          className="relative select-none overflow-hidden border-r px-2 text-right text-gray-400"
+        >
+          <pre style={{ lineHeight: `${LINE_HEIGHT}px`, paddingTop: PADDING, paddingBottom: PADDING + 24 }}>
+            {lineNumbers}
+          </pre>
+        </div>
+
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={syncScroll}
+          placeholder={placeholder}
+          spellCheck={false}
+          wrap="off"
+          className="relative flex-1 resize-none overflow-auto whitespace-pre bg-transparent px-3 placeholder:text-muted-foreground focus-visible:outline-none"
+          style={{ lineHeight: `${LINE_HEIGHT}px`, paddingTop: PADDING, paddingBottom: PADDING }}
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <div className="max-h-64 space-y-2 overflow-y-auto">
+          {errors.map(error => (
+            <button
+              key={`${error.line}:${error.column}`}
+              type="button"
+              onClick={() => showError(error)}
+              className="block w-full rounded-md border border-red-200 bg-red-50 p-2 text-left hover:bg-red-100"
+            >
+              <span className="flex items-center gap-2 text-sm font-medium text-red-800">
+                <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                Line {error.line}, column {error.column}: {error.message}
+              </span>
+              <pre className="mt-1 overflow-x-auto text-xs text-red-700">{error.snippet}</pre>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JsonEditor;
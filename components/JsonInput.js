@@ -1,65 +1,142 @@
 /* EXPORTS: JsonInput (default) */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Card } from './ui/card';
 import { Button } from './ui/button';
-import { AlertCircle, CheckCircle2, Code2, FileText } from 'lucide-react';
+import { Badge } from './ui/badge';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import JsonEditor from './JsonEditor';
+import RepairSuggestion from './RepairSuggestion';
+import { AlertCircle, CheckCircle2, Code2, FileText, FolderOpen, FolderUp } from 'lucide-react';
+import { INPUT_FORMATS, parseStructuredInput } from '../lib/inputFormats';
+import {
+  DEFAULT_IGNORE_PATTERNS,
+  parseIgnoreList,
+  collectDroppedFiles,
+  collectInputFiles,
+  readFilesToJson,
+  describeFolderStatus
+} from '../lib/folderReader';
 
 const JsonInput = ({ onJsonChange, onValidationChange }) => {
   const [jsonInput, setJsonInput] = useState('');
   const [isValid, setIsValid] = useState(null);
-  const [error, setError] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [repair, setRepair] = useState(null);
+  const [format, setFormat] = useState('auto');
+  const [detectedFormat, setDetectedFormat] = useState(null);
   const [formatted, setFormatted] = useState(false);
+  const [ignoreList, setIgnoreList] = useState(DEFAULT_IGNORE_PATTERNS.join(', '));
+  const [isDragging, setIsDragging] = useState(false);
+  const [folderStatus, setFolderStatus] = useState(null);
+  const folderInputRef = useRef(null);
 
-  const validateJson = useCallback((input) => {
+  const validateJson = useCallback((input, inputFormat) => {
     if (!input.trim()) {
       setIsValid(null);
-      setError('');
+      setErrors([]);
+      setRepair(null);
+      setDetectedFormat(null);
       onValidationChange?.(false);
       onJsonChange?.(null);
       return;
     }
 
-    try {
-      const parsed = JSON.parse(input);
-      setIsValid(true);
-      setError('');
-      onValidationChange?.(true);
-      onJsonChange?.(parsed);
-    } catch (err) {
-      setIsValid(false);
-      setError(err.message);
-      onValidationChange?.(false);
-      onJsonChange?.(null);
-    }
+    const result = parseStructuredInput(input, { format: inputFormat });
+    setIsValid(result.success);
+    setErrors(result.errors || []);
+    setRepair(result.repair || null);
+    setDetectedFormat(result.success ? result.format : null);
+    onValidationChange?.(result.success);
+    onJsonChange?.(result.data);
   }, [onJsonChange, onValidationChange]);
 
-  const handleInputChange = (e) => {
-    const value = e.target.value;
+  const handleInputChange = (value) => {
     setJsonInput(value);
     setFormatted(false);
-    validateJson(value);
+    validateJson(value, format);
+  };
+
+  const handleFormatChange = (value) => {
+    setFormat(value);
+    validateJson(jsonInput, value);
   };
 
+  // Formatting writes strict JSON, so for any other format it converts the input to JSON
   const formatJson = () => {
-    if (isValid && jsonInput.trim()) {
-      try {
-        const parsed = JSON.parse(jsonInput);
-        const formatted = JSON.stringify(parsed, null, 2);
-        setJsonInput(formatted);
-        setFormatted(true);
-      } catch (err) {
-        // Should not happen since we already validated
+    if (!isValid || !jsonInput.trim()) return;
+
+    const result = parseStructuredInput(jsonInput, { format });
+    if (result.success) {
+      const formatted = JSON.stringify(result.data, null, 2);
+      setJsonInput(formatted);
+      setFormatted(true);
+      if (format !== 'auto') {
+        setFormat('json');
       }
+      validateJson(formatted, format === 'auto' ? 'auto' : 'json');
+    }
+  };
+
+  // Replaces the input with the JSON of the files collected from a drop or the folder picker
+  const importFiles = async ({ files, ignored }) => {
+    if (files.length === 0) {
+      setFolderStatus({ error: ignored.length > 0 ? 'Every dropped file is on the ignore list' : 'Nothing to read was dropped' });
+      return;
     }
+
+    setFolderStatus({ reading: true, read: 0, total: files.length });
+    try {
+      const { data, rootName, skipped } = await readFilesToJson(files, {
+        onProgress: ({ read, total }) => setFolderStatus({ reading: true, read, total })
+      });
+      const json = JSON.stringify(data, null, 2);
+      setJsonInput(json);
+      setFormatted(true);
+      validateJson(json, format);
+      setFolderStatus({ rootName, files: files.length - skipped.length, ignored: ignored.length, skipped });
+    } catch (err) {
+      setFolderStatus({ error: 'Failed to read the files: ' + err.message });
+    }
+  };
+
+  const handleDragOver = (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (event) => {
+    // Moving over the editor's own children also fires dragleave
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = async (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    setIsDragging(false);
+    importFiles(await collectDroppedFiles(event.dataTransfer, { ignore: parseIgnoreList(ignoreList) }));
+  };
+
+  const handleOpenFolder = (event) => {
+    const files = collectInputFiles(event.target.files || [], { ignore: parseIgnoreList(ignoreList) });
+    event.target.value = '';
+    importFiles(files);
   };
 
   const clearInput = () => {
     setJsonInput('');
     setIsValid(null);
-    setError('');
+    setErrors([]);
+    setRepair(null);
+    setDetectedFormat(null);
     setFormatted(false);
+    setFolderStatus(null);
     onValidationChange?.(false);
     onJsonChange?.(null);
   };
@@ -84,7 +161,7 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
         },
         "public": {
           "favicon.ico": "[binary]",
-          "logo.png": "[binary]"
+          "logo.png": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII="
         },
         "package.json": "{ \"name\": \"my-app\" }",
         "README.md": "# My App\n\nDescription here"
@@ -94,7 +171,7 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
     const formattedExample = JSON.stringify(exampleJson, null, 2);
     setJsonInput(formattedExample);
     setFormatted(true);
-    validateJson(formattedExample);
+    validateJson(formattedExample, format);
   };
 
   return (
@@ -115,7 +192,7 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
                 className="flex items-center gap-1 text-green-600"
               >
                 <CheckCircle2 className="w-4 h-4" />
-                <span className="text-sm font-medium">Valid JSON</span>
+                <span className="text-sm font-medium">Valid {INPUT_FORMATS[detectedFormat]?.label || 'JSON'}</span>
               </motion.div>
             )}
             
@@ -127,7 +204,7 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
                 className="flex items-center gap-1 text-red-600"
               >
                 <AlertCircle className="w-4 h-4" />
-                <span className="text-sm font-medium">Invalid JSON</span>
+                <span className="text-sm font-medium">Invalid {format === 'auto' ? 'input' : INPUT_FORMATS[format].label}</span>
               </motion.div>
             )}
           </AnimatePresence>
@@ -135,18 +212,41 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
       </div>
 
       <div className="space-y-3">
-        <div className="relative">
-          <textarea
+        <div className="flex items-center gap-2">
+          <Select value={format} onValueChange={handleFormatChange}>
+            <SelectTrigger className="w-[140px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="auto">Auto-detect</SelectItem>
+              {Object.entries(INPUT_FORMATS).map(([value, inputFormat]) => (
+                <SelectItem key={value} value={value}>
+                  {inputFormat.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {format === 'auto' && detectedFormat && (
+            <Badge variant="secondary" title={INPUT_FORMATS[detectedFormat].description}>
+              Detected {INPUT_FORMATS[detectedFormat].label}
+            </Badge>
+          )}
+        </div>
+
+        <div
+          className="relative"
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
+          {/* Errors are checked on every keystroke, so the editor only jumps to one when it is clicked */}
+          <JsonEditor
             value={jsonInput}
             onChange={handleInputChange}
-            placeholder="Paste your JSON structure here... or click 'Load Example' to see how it works"
-            className={`w-full h-64 p-4 border rounded-lg font-mono text-sm resize-y focus:outline-none focus:ring-2 transition-colors ${
-              isValid === true
-                ? 'border-green-300 focus:ring-green-500 focus:border-green-500'
-                : isValid === false
-                ? 'border-red-300 focus:ring-red-500 focus:border-red-500'
-                : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500'
-            }`}
+            errors={errors}
+            revealErrors={false}
+            placeholder="Paste your JSON, YAML or TOML structure here... or click 'Load Example' to see how it works"
+            className={isValid === true ? 'h-64 border-green-300' : 'h-64'}
           />
           
           {jsonInput && (
@@ -158,26 +258,35 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
               {jsonInput.length} chars
             </motion.div>
           )}
-        </div>
 
-        <AnimatePresence>
-          {error && (
-            <motion.div
-              initial={{ opacity: 0, y: -10 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -10 }}
-              className="p-3 bg-red-50 border border-red-200 rounded-lg"
-            >
-              <div className="flex items-start gap-2">
-                <AlertCircle className="w-4 h-4 text-red-500 mt-0.5 flex-shrink-0" />
-                <div>
-                  <p className="text-sm font-medium text-red-800">JSON Syntax Error</p>
-                  <p className="text-sm text-red-600 mt-1">{error}</p>
-                </div>
-              </div>
-            </motion.div>
+          {isDragging && (
+            <div className="pointer-events-none absolute inset-0 flex flex-col items-center justify-center gap-2 rounded-md border-2 border-dashed border-blue-400 bg-blue-50/90 text-blue-700">
+              <FolderUp className="w-8 h-8" />
+              <span className="text-sm font-medium">Drop a folder or files to read them into JSON</span>
+            </div>
           )}
-        </AnimatePresence>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Label htmlFor="folder-ignore" className="whitespace-nowrap text-sm">Ignore</Label>
+          <Input
+            id="folder-ignore"
+            value={ignoreList}
+            onChange={(event) => setIgnoreList(event.target.value)}
+            placeholder="node_modules, .git, *.log"
+            className="h-8 text-xs"
+          />
+        </div>
+
+        {folderStatus && (
+          <div className={folderStatus.error ? 'text-xs text-red-600' : 'text-xs text-gray-600'}>
+            {describeFolderStatus(folderStatus)}
+          </div>
+        )}
+
+        {repair && (
+          <RepairSuggestion repair={repair} original={jsonInput} onApply={handleInputChange} />
+        )}
 
         <div className="flex items-center gap-2 flex-wrap">
           <Button
@@ -188,7 +297,7 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
             className="flex items-center gap-2"
           >
             <FileText className="w-4 h-4" />
-            {formatted ? 'Formatted' : 'Format JSON'}
+            {formatted ? 'Formatted' : detectedFormat && detectedFormat !== 'json' ? 'Convert to JSON' : 'Format JSON'}
           </Button>
           
           <Button
@@ -199,6 +308,25 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
             Load Example
           </Button>
           
+          <Button
+            onClick={() => folderInputRef.current?.click()}
+            variant="outline"
+            size="sm"
+            disabled={folderStatus?.reading}
+            className="flex items-center gap-2"
+          >
+            <FolderOpen className="w-4 h-4" />
+            Open folder
+          </Button>
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
+            multiple
+            className="hidden"
+            onChange={handleOpenFolder}
+          />
+          
           <Button
             onClick={clearInput}
             variant="outline"
@@ -214,7 +342,7 @@ const JsonInput = ({ onJsonChange, onValidationChange }) => {
         <div className="text-xs text-gray-500 border-t pt-3">
           <p>
             💡 <strong>Tip:</strong> Your JSON structure will be converted to files and folders. 
-            Objects become folders, and string values become file contents.
+            Objects become folders, and string values become file contents; <code>data:</code> URIs become binary files.
           </p>
         </div>
       )}
@@ -0,0 +1,210 @@
+/* EXPORTS: NdjsonBatch (default) */
+
+import React, { useMemo, useRef, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+import { Badge } from './ui/badge';
+import { Progress } from './ui/progress';
+import { Alert, AlertDescription } from './ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { AlertCircle, Download, FileJson, Layers } from 'lucide-react';
+import { BATCH_MODES, parseNdjson, getRecordFields, generateNdjsonBatch } from '../lib/ndjsonBatch';
+import { ARCHIVE_FORMATS, downloadZip } from '../lib/zipGenerator';
+
+// Select items cannot have an empty value, so naming by line number has its own
+const LINE_NUMBER = '#line';
+
+// Converts JSON Lines exports, one structure per line, with the options of the main converter
+const NdjsonBatch = ({ options }) => {
+  const [text, setText] = useState('');
+  const [mode, setMode] = useState('folders');
+  const [nameField, setNameField] = useState(LINE_NUMBER);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const parsed = useMemo(() => parseNdjson(text, { dialect: options.dialect }), [text, options.dialect]);
+  const fields = useMemo(() => getRecordFields(parsed.records), [parsed]);
+  // Planning errors are only known once the batch has been generated
+  const errors = result ? result.errors : parsed.errors;
+  const recordCount = result ? result.count : parsed.records.length;
+
+  const handleTextChange = (value) => {
+    setText(value);
+    setResult(null);
+    setError('');
+  };
+
+  const handleOpenFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      handleTextChange(await file.text());
+    } catch (err) {
+      setError('Failed to read file: ' + err.message);
+    }
+  };
+
+  const handleModeChange = (value) => {
+    setMode(value);
+    setResult(null);
+  };
+
+  const handleNameFieldChange = (value) => {
+    setNameField(value);
+    setResult(null);
+  };
+
+  const handleGenerate = async () => {
+    setProgress({ percent: 0, currentFile: null });
+    setError('');
+    try {
+      const batch = await generateNdjsonBatch(text, {
+        ...options,
+        mode,
+        nameField: nameField === LINE_NUMBER ? '' : nameField,
+        onUpdate: setProgress
+      });
+      setResult(batch);
+      if (batch.archive) {
+        const extension = mode === 'folders' ? ARCHIVE_FORMATS[options.format || 'zip'].extension : '.zip';
+        downloadZip(batch.archive, `records${extension}`);
+      } else {
+        setError('None of the records could be converted');
+      }
+    } catch (err) {
+      setError('Failed to generate the batch: ' + err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Layers className="h-5 w-5" />
+          NDJSON Batch
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Each line is converted as a separate structure. Lines that are not valid are listed and left out.
+        </p>
+
+        <Textarea
+          value={text}
+          onChange={(event) => handleTextChange(event.target.value)}
+          placeholder={'{"id": "first", "src": {"index.js": "..."}}\n{"id": "second", "src": {"index.js": "..."}}'}
+          className="h-40 font-mono text-xs"
+          spellCheck={false}
+        />
+
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Label htmlFor="batch-mode" className="whitespace-nowrap">Output</Label>
+            <Select value={mode} onValueChange={handleModeChange}>
+              <SelectTrigger id="batch-mode" className="w-[200px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(BATCH_MODES).map(([value, batchMode]) => (
+                  <SelectItem key={value} value={value} title={batchMode.description}>
+                    {batchMode.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <Label htmlFor="batch-name-field" className="whitespace-nowrap">Name records by</Label>
+            <Select value={nameField} onValueChange={handleNameFieldChange}>
+              <SelectTrigger id="batch-name-field" className="w-[160px]">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={LINE_NUMBER}>Line number</SelectItem>
+                {fields.map(field => (
+                  <SelectItem key={field} value={field}>
+                    {field}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Button
+            onClick={handleGenerate}
+            disabled={progress !== null || parsed.records.length === 0 || (options.encryption && !options.password)}
+            className="flex items-center gap-2"
+          >
+            <Download className="h-4 w-4" />
+            {progress ? 'Generating...' : 'Download batch'}
+          </Button>
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={progress !== null}>
+            <FileJson className="h-4 w-4 mr-2" />
+            Open file
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".ndjson,.jsonl,.json,application/x-ndjson"
+            className="hidden"
+            onChange={handleOpenFile}
+          />
+          {text.trim() && (
+            <Badge variant="secondary">
+              {recordCount} record{recordCount === 1 ? '' : 's'}
+            </Badge>
+          )}
+          {errors.length > 0 && (
+            <Badge variant="destructive">
+              {errors.length} invalid line{errors.length === 1 ? '' : 's'}
+            </Badge>
+          )}
+        </div>
+
+        {progress && (
+          <div className="space-y-1">
+            <Progress value={progress.percent} />
+            <div className="flex justify-between gap-2 text-xs text-gray-600">
+              <span className="font-mono truncate">{progress.currentFile || 'Preparing...'}</span>
+              <span>{Math.floor(progress.percent)}%</span>
+            </div>
+          </div>
+        )}
+
+        {errors.length > 0 && (
+          <div className="max-h-48 overflow-auto rounded-md border">
+            <ul className="divide-y text-sm">
+              {errors.map((lineError, index) => (
+                <li key={index} className="flex gap-2 px-3 py-1.5">
+                  <span className="font-mono text-red-600 whitespace-nowrap">
+                    Line {lineError.line}{lineError.column ? `:${lineError.column}` : ''}
+                  </span>
+                  <span className="text-gray-700">{lineError.message}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NdjsonBatch;
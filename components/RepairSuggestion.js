@@ -0,0 +1,92 @@
+/* EXPORTS: RepairSuggestion (default) */
+
+import React, { useMemo, useState } from 'react';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Wand2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { diffLines } from '../lib/jsonRepair';
+
+// Line numbers listed per kind of change before the rest are counted
+const MAX_LISTED_LINES = 5;
+
+const DIFF_STYLES = {
+  same: 'text-gray-600',
+  removed: 'bg-red-50 text-red-800',
+  added: 'bg-green-50 text-green-800'
+};
+const DIFF_MARKERS = { same: ' ', removed: '-', added: '+' };
+
+// Groups the changes by message, keeping the order in which each kind first appears
+const groupChanges = (changes) => {
+  const groups = new Map();
+  changes.forEach(change => {
+    if (!groups.has(change.message)) {
+      groups.set(change.message, []);
+    }
+    groups.get(change.message).push(change.line);
+  });
+  return [...groups].map(([message, lines]) => ({ message, lines: [...new Set(lines)] }));
+};
+
+const formatLines = (lines) => {
+  const listed = lines.slice(0, MAX_LISTED_LINES).join(', ');
+  const rest = lines.length - MAX_LISTED_LINES;
+  return `line${lines.length > 1 ? 's' : ''} ${listed}${rest > 0 ? ` and ${rest} more` : ''}`;
+};
+
+// Offers the { text, changes } found by repairJson for the original text, with a line diff on request
+const RepairSuggestion = ({ repair, original, onApply, className }) => {
+  const [showDiff, setShowDiff] = useState(false);
+  const groups = useMemo(() => groupChanges(repair.changes), [repair]);
+  const diff = useMemo(() => (showDiff ? diffLines(original, repair.text) : []), [showDiff, original, repair]);
+
+  return (
+    <div className={cn('space-y-3 rounded-md border border-blue-200 bg-blue-50 p-3', className)}>
+      <div className="flex items-center justify-between gap-2">
+        <span className="flex items-center gap-2 text-sm font-medium text-blue-900">
+          <Wand2 className="h-4 w-4 flex-shrink-0" />
+          This looks like almost-JSON. It can be fixed automatically:
+        </span>
+        <Badge variant="secondary">
+          {repair.changes.length} change{repair.changes.length === 1 ? '' : 's'}
+        </Badge>
+      </div>
+
+      <ul className="space-y-1 text-sm text-blue-900">
+        {groups.map(group => (
+          <li key={group.message}>
+            {group.message} <span className="text-blue-700">({formatLines(group.lines)})</span>
+          </li>
+        ))}
+      </ul>
+
+      {showDiff && (
+        <pre className="max-h-64 overflow-auto rounded border bg-white py-1 text-xs">
+          {diff.map((line, index) => (
+            line.type === 'skip' ? (
+              <div key={index} className="px-2 text-gray-400">
+                @@ {line.count} unchanged line{line.count === 1 ? '' : 's'} @@
+              </div>
+            ) : (
+              <div key={index} className={cn('px-2', DIFF_STYLES[line.type])}>
+                {DIFF_MARKERS[line.type]} {line.text}
+              </div>
+            )
+          ))}
+        </pre>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Button size="sm" onClick={() => onApply(repair.text)}>
+          Apply fixes
+        </Button>
+        <Button size="sm" variant="outline" onClick={() => setShowDiff(!showDiff)}>
+          {showDiff ? 'Hide changes' : 'Show changes'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RepairSuggestion;
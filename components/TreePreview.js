@@ -3,56 +3,14 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ChevronRight, ChevronDown, File, Folder, FolderOpen } from 'lucide-react';
+import { createBuildPlan, buildTreeFromPlan } from '../lib/buildPlan';
 
-const TreePreview = ({ jsonData, onToggleExpand, expandedNodes = new Set() }) => {
-  const parseJsonToTree = (data, path = '') => {
-    const nodes = [];
-    
-    if (Array.isArray(data)) {
-      data.forEach((item, index) => {
-        const currentPath = `${path}[${index}]`;
-        if (typeof item === 'object' && item !== null) {
-          nodes.push({
-            id: currentPath,
-            name: `[${index}]`,
-            type: 'folder',
-            path: currentPath,
-            children: parseJsonToTree(item, currentPath)
-          });
-        } else {
-          nodes.push({
-            id: `${currentPath}.txt`,
-            name: `[${index}].txt`,
-            type: 'file',
-            path: currentPath,
-            value: item
-          });
-        }
-      });
-    } else if (typeof data === 'object' && data !== null) {
-      Object.entries(data).forEach(([key, value]) => {
-        const currentPath = path ? `${path}/${key}` : key;
-        if (typeof value === 'object' && value !== null) {
-          nodes.push({
-            id: currentPath,
-            name: key,
-            type: 'folder',
-            path: currentPath,
-            children: parseJsonToTree(value, currentPath)
-          });
-        } else {
-          nodes.push({
-            id: `${currentPath}.txt`,
-            name: `${key}.txt`,
-            type: 'file',
-            path: currentPath,
-            value: value
-          });
-        }
-      });
-    }
-    
-    return nodes;
+const TreePreview = ({ jsonData, plan, onToggleExpand, expandedNodes = new Set() }) => {
+  // Mirror the build plan used for the download instead of re-deriving names here
+  const planToTreeData = () => {
+    const buildPlan = plan || createBuildPlan(jsonData, { createReadme: false, includeMetadata: false });
+    const addIds = (node) => ({ ...node, id: node.path, children: node.children.map(addIds) });
+    return buildTreeFromPlan(buildPlan).children.map(addIds);
   };
 
   const TreeNode = ({ node, depth = 0 }) => {
@@ -116,9 +74,15 @@ const TreePreview = ({ jsonData, onToggleExpand, expandedNodes = new Set() }) =>
               {node.name}
             </span>
             
-            {node.type === 'file' && node.value !== undefined && (
+            {node.type === 'file' && node.encoding === 'base64' && (
               <span className="ml-2 text-xs text-gray-400 truncate">
-                ({typeof node.value === 'string' ? `"${node.value.slice(0, 20)}${node.value.length > 20 ? '...' : ''}"` : String(node.value)})
+                (binary, {node.size} bytes)
+              </span>
+            )}
+
+            {node.type === 'file' && node.encoding !== 'base64' && node.content !== undefined && (
+              <span className="ml-2 text-xs text-gray-400 truncate">
+                ({`"${node.content.slice(0, 20)}${node.content.length > 20 ? '...' : ''}"`})
               </span>
             )}
           </div>
@@ -147,7 +111,7 @@ const TreePreview = ({ jsonData, onToggleExpand, expandedNodes = new Set() }) =>
     );
   };
 
-  if (!jsonData) {
+  if (!jsonData && !plan) {
     return (
       <div className="flex items-center justify-center h-32 text-gray-500">
         <div className="text-center">
@@ -158,7 +122,7 @@ const TreePreview = ({ jsonData, onToggleExpand, expandedNodes = new Set() }) =>
     );
   }
 
-  const treeData = parseJsonToTree(jsonData);
+  const treeData = planToTreeData();
 
   return (
     <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
@@ -0,0 +1,136 @@
+/* EXPORTS: generateZipFile */
+
+import { createBuildPlan } from './buildPlan';
+import { parseInputText } from './inputFormats';
+import { generateArchiveFromPlan, generateArchiveFromStream, getArchiveFileName, downloadZip } from './zipGenerator';
+
+/**
+ * Main function expected by index.js - generates and downloads ZIP file.
+ * Parsing and writing run in a Web Worker (see archiveWorker.js) so the page
+ * stays responsive; without Worker support they run on the calling thread.
+ * This lives apart from zipGenerator.js because the worker imports that module.
+ * @param {Object} parsedStructure - The parsed structure from parseJsonStructure
+ * @param {string} jsonInput - Original JSON input string (ignored when options.source is set)
+ * @param {string} filename - Optional filename for the ZIP
+ * @param {Object} options - Configuration options
+ * @param {Object} options.naming - FileNamingOptions config
+ * @param {boolean} options.expandPaths - Expand path-style keys
+ * @param {boolean} options.includeManifest - Add a round-trip _manifest.json
+ * @param {boolean} options.reproducible - Use fixed timestamps
+ * @param {boolean} options.includeChecksums - Add CHECKSUMS.sha256
+ * @param {Object} options.compression - Compression policy
+ * @param {string} options.dialect - Dialect of jsonInput or the source (see JSON_DIALECTS), 'json' by default
+ * @param {string} options.inputFormat - Format of jsonInput (see INPUT_FORMATS), options.dialect by default
+ * @param {string} options.listingContent - Content of the files when jsonInput is a directory listing
+ * @param {string} options.format - 'zip', 'tar' or 'tar.gz'; the filename extension is adjusted to match
+ * @param {string} options.encryption - 'zipcrypto' or 'aes256' to password-protect a ZIP
+ * @param {string} options.password - Password for the encrypted ZIP
+ * @param {Blob} options.source - File or Blob previewed with parseJsonStream, read again in chunks
+ * @param {Function} options.onProgress - Receives { percent, currentFile } while the archive is written
+ * @param {AbortSignal} options.signal - Aborting stops the worker; the promise then rejects with an AbortError
+ */
+async function generateZipFile(parsedStructure, jsonInput, filename = 'converted-json.zip', options = {}) {
+  try {
+    const planOptions = {
+      rootName: 'project',
+      includeMetadata: true,
+      createReadme: true,
+      naming: options.naming || null,
+      expandPaths: options.expandPaths || false,
+      includeManifest: options.includeManifest || false,
+      reproducible: options.reproducible || false,
+      includeChecksums: options.includeChecksums || false,
+      compression: options.compression || null,
+      dialect: options.dialect || 'json',
+      // The previewed date keeps names and timestamps identical to the preview
+      date: parsedStructure?.plan?.date
+    };
+    const archiveOptions = {
+      format: options.format || 'zip',
+      encryption: options.encryption || null,
+      password: options.password
+    };
+
+    let archiveBlob;
+    if (typeof Worker !== 'undefined') {
+      const message = {
+        jsonInput: options.source ? null : jsonInput,
+        inputFormat: options.inputFormat || planOptions.dialect,
+        listingContent: options.listingContent,
+        source: options.source,
+        planOptions,
+        archiveOptions
+      };
+      archiveBlob = await generateInWorker(message, options);
+    } else if (options.source) {
+      archiveBlob = await generateArchiveFromStream(options.source, {
+        ...archiveOptions,
+        plan: planOptions,
+        onUpdate: options.onProgress
+      });
+    } else {
+      archiveBlob = await generateArchiveFromPlan(
+        parsedStructure?.plan || createBuildPlan(parseInputText(jsonInput, options.inputFormat || planOptions.dialect, options).data, planOptions),
+        { ...archiveOptions, onUpdate: options.onProgress }
+      );
+    }
+
+    // Download the archive
+    downloadZip(archiveBlob, getArchiveFileName(filename, archiveOptions.format));
+    
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('Error generating ZIP file:', error);
+    throw new Error(`Failed to generate ZIP: ${error.message}`);
+  }
+}
+
+/**
+ * Runs archiveWorker.js for one archive
+ * @param {Object} message - { jsonInput, inputFormat, listingContent, source, planOptions, archiveOptions } for the worker
+ * @param {Object} options - { onProgress, signal } from generateZipFile
+ * @returns {Promise<Blob>} - The generated archive
+ */
+function generateInWorker(message, { onProgress, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Archive generation was cancelled', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('./archiveWorker.js', import.meta.url));
+
+    const stop = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', cancel);
+    };
+    const cancel = () => {
+      stop();
+      reject(new DOMException('Archive generation was cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', cancel);
+
+    worker.onmessage = ({ data }) => {
+      switch (data.type) {
+        case 'progress':
+          onProgress?.({ percent: data.percent, currentFile: data.currentFile });
+          break;
+        case 'done':
+          stop();
+          resolve(data.archive);
+          break;
+        default:
+          stop();
+          reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      stop();
+      reject(new Error(event.message || 'The archive worker failed'));
+    };
+
+    worker.postMessage(message);
+  });
+}
+
+export { generateZipFile };
@@ -0,0 +1,118 @@
+/* EXPORTS: verifyArchive */
+
+import JSZip from 'jszip';
+import { parseChecksumFile } from './checksums';
+import { sha256Hex } from './sha256';
+import { MAX_UNCOMPRESSED_BYTES, createInflateBudget } from './zipReader';
+
+const CHECKSUMS_PATTERN = /^CHECKSUMS(_\d+)?\.sha256$/;
+const METADATA_PATTERN = /^_metadata(_\d+)?\.json$/;
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+/**
+ * Verifies a ZIP archive against the checksums written with includeChecksums.
+ *
+ * CHECKSUMS.sha256 is preferred because it also covers _metadata.json; the
+ * integrity section of _metadata.json is used when only that is present.
+ * Both are looked up at the top level and inside a single root folder.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob|Buffer} zipInput - ZIP archive contents
+ * @param {Object} options - Verifier options
+ * @param {number} options.maxUncompressedBytes - Limit for the bytes inflated (see createInflateBudget)
+ * @returns {Promise<Object>} - { valid, source, checked, missing, extra, modified }
+ *   with modified as [{ path, expected, actual }]
+ */
+async function verifyArchive(zipInput, options = {}) {
+  const zip = await JSZip.loadAsync(zipInput);
+  const budget = createInflateBudget(options.maxUncompressedBytes ?? MAX_UNCOMPRESSED_BYTES);
+  const files = [];
+  zip.forEach((relativePath, file) => {
+    if (!file.dir && !IGNORED_ENTRIES.test(relativePath)) {
+      files.push(file);
+    }
+  });
+
+  const expected = await findExpectedHashes(files, budget);
+  if (!expected) {
+    throw new Error('Archive has no CHECKSUMS.sha256 or _metadata.json integrity section');
+  }
+
+  const { source, baseDir, entries } = expected;
+  const listed = new Set(entries.map(entry => `${baseDir}${entry.path}`));
+  const missing = [];
+  const modified = [];
+
+  for (const entry of entries) {
+    const file = zip.file(`${baseDir}${entry.path}`);
+    if (!file || file.dir) {
+      missing.push(entry.path);
+      continue;
+    }
+
+    const bytes = await budget.read(file);
+    const actual = sha256Hex(bytes);
+    const sizeMismatch = entry.size !== undefined && entry.size !== bytes.length;
+    if (actual !== entry.sha256 || sizeMismatch) {
+      modified.push({ path: entry.path, expected: entry.sha256, actual });
+    }
+  }
+
+  // Paths are reported relative to the checksum file, like the ones it lists
+  const extra = files
+    .map(file => file.name)
+    .filter(name => name !== source && !listed.has(name))
+    .map(name => (name.startsWith(baseDir) ? name.slice(baseDir.length) : `/${name}`));
+
+  return {
+    valid: missing.length === 0 && modified.length === 0 && extra.length === 0,
+    source,
+    checked: entries.length,
+    missing,
+    extra,
+    modified
+  };
+}
+
+// Shallowest checksum file wins, then the shallowest metadata with an integrity section
+async function findExpectedHashes(files, budget) {
+  const candidates = files
+    .filter(file => file.name.split('/').length <= 2)
+    .sort((a, b) => a.name.split('/').length - b.name.split('/').length);
+
+  for (const file of candidates) {
+    if (!CHECKSUMS_PATTERN.test(getBaseName(file.name))) continue;
+    const entries = parseChecksumFile(await readText(file, budget));
+    if (entries) {
+      return { source: file.name, baseDir: getBaseDir(file.name), entries };
+    }
+  }
+
+  for (const file of candidates) {
+    if (!METADATA_PATTERN.test(getBaseName(file.name))) continue;
+    const text = await readText(file, budget);
+    try {
+      const integrity = JSON.parse(text).integrity;
+      if (integrity?.algorithm === 'sha256' && Array.isArray(integrity.files)) {
+        return { source: file.name, baseDir: getBaseDir(file.name), entries: integrity.files };
+      }
+    } catch {
+      // Not our metadata; keep looking
+    }
+  }
+
+  return null;
+}
+
+async function readText(file, budget) {
+  return new TextDecoder('utf-8', { ignoreBOM: true }).decode(await budget.read(file));
+}
+
+function getBaseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+function getBaseDir(path) {
+  return path.slice(0, path.lastIndexOf('/') + 1);
+}
+
+export { verifyArchive };
@@ -0,0 +1,37 @@
+/* EXPORTS: none (Web Worker entry, started by generateZipFile in archiveDownload.js) */
+
+import { createBuildPlan } from './buildPlan';
+import { parseInputText } from './inputFormats';
+import { generateArchiveFromPlan, generateArchiveFromStream } from './zipGenerator';
+
+// JSZip reports every chunk, so progress messages are limited to one per interval
+const PROGRESS_INTERVAL_MS = 100;
+
+// Receives { jsonInput, inputFormat, listingContent, source, planOptions, archiveOptions } and answers with
+// { type: 'progress', percent, currentFile } messages followed by either
+// { type: 'done', archive } or { type: 'error', message }
+self.onmessage = async ({ data }) => {
+  const { jsonInput, inputFormat, listingContent, source, planOptions, archiveOptions } = data;
+  let lastTime = 0;
+  let lastPercent = -1;
+
+  const onUpdate = ({ percent, currentFile }) => {
+    const now = Date.now();
+    const isComplete = percent >= 100 && lastPercent < 100;
+    if (now - lastTime < PROGRESS_INTERVAL_MS && !isComplete) return;
+    lastTime = now;
+    lastPercent = percent;
+    self.postMessage({ type: 'progress', percent, currentFile });
+  };
+
+  try {
+    onUpdate({ percent: 0, currentFile: null });
+    // A File or Blob source is planned while it is read instead of parsed as a whole
+    const archive = source
+      ? await generateArchiveFromStream(source, { ...archiveOptions, plan: planOptions, onUpdate })
+      : await generateArchiveFromPlan(createBuildPlan(parseInputText(jsonInput, inputFormat || planOptions.dialect, { listingContent }).data, planOptions), { ...archiveOptions, onUpdate });
+    self.postMessage({ type: 'done', archive });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
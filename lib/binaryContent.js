@@ -0,0 +1,249 @@
+/* EXPORTS: BASE64_MARKER, parseBinaryString, parseDataUri, getBinaryExtension, getContentExtension, isValidBase64, decodeBase64, encodeBase64, decodeUtf8Text, concatBytes, toOutputType */
+
+import { getSmartFileExtension } from './fileTypes';
+
+/**
+ * Opt-in prefix for plain base64 strings, e.g. "favicon.ico": "base64:AAABAAEAEBA..."
+ */
+const BASE64_MARKER = 'base64:';
+
+// RFC 2397: data:[type/subtype][;attribute=value]*[;base64],data, with MIME tokens (RFC 2045) and no spaces
+const MIME_TOKEN = "[!#$%&'*+.^_`|~0-9A-Za-z-]+";
+const DATA_URI = new RegExp(
+  `^data:((?:${MIME_TOKEN}/${MIME_TOKEN})?(?:;${MIME_TOKEN}=(?:${MIME_TOKEN}|"[^"]*"))*)(;base64)?,([\\s\\S]*)$`,
+  'i'
+);
+
+const MIME_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/bmp': '.bmp',
+  'image/svg+xml': '.svg',
+  'image/x-icon': '.ico',
+  'image/vnd.microsoft.icon': '.ico',
+  'font/woff': '.woff',
+  'font/woff2': '.woff2',
+  'font/ttf': '.ttf',
+  'font/otf': '.otf',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/gzip': '.gz',
+  'application/wasm': '.wasm',
+  'application/json': '.json',
+  'application/javascript': '.js',
+  'text/javascript': '.js',
+  'text/html': '.html',
+  'text/css': '.css',
+  'text/markdown': '.md',
+  'text/plain': '.txt',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm'
+};
+
+// [extension, byte offset, signature bytes]
+const MAGIC_NUMBERS = [
+  ['.png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ['.jpg', 0, [0xff, 0xd8, 0xff]],
+  ['.gif', 0, [0x47, 0x49, 0x46, 0x38]],
+  ['.ico', 0, [0x00, 0x00, 0x01, 0x00]],
+  ['.bmp', 0, [0x42, 0x4d]],
+  ['.webp', 8, [0x57, 0x45, 0x42, 0x50]],
+  ['.pdf', 0, [0x25, 0x50, 0x44, 0x46]],
+  ['.zip', 0, [0x50, 0x4b, 0x03, 0x04]],
+  ['.gz', 0, [0x1f, 0x8b]],
+  ['.woff', 0, [0x77, 0x4f, 0x46, 0x46]],
+  ['.woff2', 0, [0x77, 0x4f, 0x46, 0x32]],
+  ['.ttf', 0, [0x00, 0x01, 0x00, 0x00]],
+  ['.otf', 0, [0x4f, 0x54, 0x54, 0x4f]],
+  ['.wasm', 0, [0x00, 0x61, 0x73, 0x6d]],
+  ['.mp3', 0, [0x49, 0x44, 0x33]],
+  ['.ogg', 0, [0x4f, 0x67, 0x67, 0x53]]
+];
+
+/**
+ * Recognises binary-carrying strings: data URIs and BASE64_MARKER-prefixed base64
+ * @param {string} value - String value from the JSON
+ * @returns {Object|null} - { content, encoding, mimeType } or null for ordinary text
+ */
+function parseBinaryString(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (value.startsWith('data:')) {
+    return parseDataUri(value);
+  }
+
+  if (value.startsWith(BASE64_MARKER)) {
+    const content = value.slice(BASE64_MARKER.length).replace(/\s+/g, '');
+    return isValidBase64(content) ? { content, encoding: 'base64', mimeType: null } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parses a data URI (RFC 2397). Only a well-formed header counts, so text
+ * that merely starts with "data:" and has a comma, such as the YAML line
+ * "data: one, two", is left as text.
+ * @param {string} uri - e.g. "data:image/png;base64,iVBORw0..."
+ * @returns {Object|null} - { content, encoding, mimeType } or null when malformed
+ */
+function parseDataUri(uri) {
+  const match = DATA_URI.exec(uri);
+  if (!match) {
+    return null;
+  }
+
+  const type = match[1].split(';')[0];
+  const mimeType = type ? type.toLowerCase() : 'text/plain';
+
+  if (match[2]) {
+    const content = match[3].replace(/\s+/g, '');
+    return isValidBase64(content) ? { content, encoding: 'base64', mimeType } : null;
+  }
+
+  try {
+    return { content: decodeURIComponent(match[3]), encoding: 'utf8', mimeType };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Picks an extension for binary content from its MIME type, then its magic bytes
+ * @param {string} base64 - Base64 content
+ * @param {string|null} mimeType - MIME type from a data URI
+ * @returns {string} - Extension such as ".png", or ".bin" when unknown
+ */
+function getBinaryExtension(base64, mimeType = null) {
+  if (mimeType && MIME_EXTENSIONS[mimeType]) {
+    return MIME_EXTENSIONS[mimeType];
+  }
+
+  const header = decodeBase64Prefix(base64, 16);
+  const found = MAGIC_NUMBERS.find(([, offset, signature]) =>
+    signature.every((byte, i) => header[offset + i] === byte)
+  );
+  return found ? found[0] : '.bin';
+}
+
+/**
+ * Picks an extension for decoded file content
+ * @param {string} content - Base64 or text content
+ * @param {string} encoding - 'base64' or 'utf8'
+ * @param {string|null} mimeType - MIME type from a data URI
+ * @returns {string} - Extension including the dot
+ */
+function getContentExtension(content, encoding, mimeType = null) {
+  if (encoding === 'base64') {
+    return getBinaryExtension(content, mimeType);
+  }
+  if (mimeType && mimeType !== 'text/plain' && MIME_EXTENSIONS[mimeType]) {
+    return MIME_EXTENSIONS[mimeType];
+  }
+  return getSmartFileExtension(content);
+}
+
+/**
+ * Checks that a string (without whitespace) is padded base64
+ * @param {string} base64 - Candidate base64 content
+ * @returns {boolean} - True when the string can be decoded
+ */
+function isValidBase64(base64) {
+  return base64.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(base64);
+}
+
+/**
+ * Decodes base64 content into bytes
+ * @param {string} base64 - Base64 content without whitespace
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function decodeBase64(base64) {
+  const binary = atob(base64);
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 content without whitespace
+ */
+function encodeBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes file contents as text when they are valid UTF-8 without NUL bytes
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} - Text, or null for binary contents
+ */
+function decodeUtf8Text(bytes) {
+  if (bytes.includes(0)) {
+    return null;
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Joins byte chunks into one array
+ * @param {Array<Uint8Array>} chunks - Byte chunks
+ * @returns {Uint8Array} - Concatenated bytes
+ */
+function concatBytes(chunks) {
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+
+/**
+ * Converts archive bytes to the output types JSZip accepts
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {string} outputType - 'blob', 'nodebuffer', 'uint8array' or 'arraybuffer'
+ * @param {string} mimeType - Blob type
+ * @returns {Blob|Buffer|Uint8Array|ArrayBuffer} - Archive in the requested type
+ */
+function toOutputType(bytes, outputType, mimeType) {
+  switch (outputType) {
+    case 'nodebuffer':
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+    case 'uint8array':
+      return bytes;
+    case 'arraybuffer':
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+    case 'blob':
+    default:
+      return new Blob([bytes], { type: mimeType });
+  }
+}
+
+function decodeBase64Prefix(base64, byteCount) {
+  const chunk = base64.slice(0, Math.ceil(byteCount / 3) * 4);
+  try {
+    const binary = atob(chunk);
+    return Array.from(binary, char => char.charCodeAt(0));
+  } catch {
+    return [];
+  }
+}
+
+export { BASE64_MARKER, parseBinaryString, parseDataUri, getBinaryExtension, getContentExtension, isValidBase64, decodeBase64, encodeBase64, decodeUtf8Text, concatBytes, toOutputType };
@@ -0,0 +1,618 @@
+/* EXPORTS: createBuildPlan, createPlanBuilder, analyzeJsonStructure, buildTreeFromPlan, createTreeBuilder, getSourceDate, sanitizeFileName, getByteLength */
+
+import { applyNamingConfig } from './fileNaming';
+import { getSmartFileExtension, splitDeclaredExtension, isCompatibleExtension } from './fileTypes';
+import { expandPathKeys } from './pathExpansion';
+import { isFileDirective, parseFileDirective, getBase64ByteLength } from './fileDirectives';
+import { parseBinaryString, getContentExtension } from './binaryContent';
+import { appendPointer } from './jsonPointer';
+import { MANIFEST_FILE, describeFileOrigin, buildManifest } from './roundTripManifest';
+import { CHECKSUMS_FILE, hashPlanEntries, formatChecksumFile } from './checksums';
+import { DEFAULT_COMPRESSION_POLICY, resolveCompression } from './compressionPolicy';
+
+// Earliest timestamp a ZIP entry can store; used when no SOURCE_DATE_EPOCH is set
+const REPRODUCIBLE_DATE = '1980-01-01T00:00:00Z';
+
+/**
+ * Creates the canonical build plan for a JSON structure.
+ *
+ * The plan is an ordered list of folder and file entries (parents before
+ * children) and is the single source of truth for the preview tree, the
+ * browser ZIP writer and the /api/generate-zip route.
+ *
+ * @param {any} jsonData - Parsed JSON data
+ * @param {Object} options - Planning options
+ * @param {string} options.rootName - Root folder name ('' for no root folder)
+ * @param {boolean} options.createReadme - Add a generated README.md
+ * @param {boolean} options.includeMetadata - Add a generated _metadata.json
+ * @param {Object} options.naming - FileNamingOptions config applied to data entries
+ * @param {Date} options.date - Timestamp used by the naming config, README, metadata and as the
+ *   mtime of entries without "$mtime" (defaults to now, or the source date when reproducible)
+ * @param {boolean} options.reproducible - Use a fixed timestamp so identical JSON gives identical archives
+ * @param {number|string} options.sourceDateEpoch - Seconds since the Unix epoch used when reproducible
+ *   (defaults to the SOURCE_DATE_EPOCH environment variable, then 1980-01-01)
+ * @param {string} options.extensionPolicy - 'keep', 'replace' or 'append' for keys such as
+ *   "Button.js" (defaults to naming.extensionPolicy, then 'keep')
+ * @param {boolean} options.expandPaths - Expand keys such as "src/a.js" into nested folders
+ * @param {boolean} options.decodeBinary - Decode data URIs and "base64:" strings into binary files
+ * @param {boolean} options.includeManifest - Add a _manifest.json that maps every entry back to
+ *   its JSON Pointer, original key and value type, so the ZIP converts back to the exact JSON
+ * @param {boolean} options.includeChecksums - Add a sha256sum-compatible CHECKSUMS.sha256 and an
+ *   integrity section (size and SHA-256 per file) in _metadata.json
+ * @param {Object} options.compression - Compression policy { level, storePrecompressed, overrides }
+ *   resolved into a { method, level } setting on every file entry
+ * @returns {Object} - Plan with rootName, date, compressionLevel, entries, stats, extensionMismatches and pathConflicts
+ */
+function createBuildPlan(jsonData, options = {}) {
+  const expanded = options.expandPaths ? expandPathKeys(jsonData) : { data: jsonData, conflicts: [], origins: null };
+  const builder = createPlanBuilder(options, { expansion: expanded });
+
+  if (typeof expanded.data === 'object' && expanded.data !== null) {
+    builder.addRootChildren(expanded.data);
+  } else {
+    builder.addRootValue(expanded.data);
+  }
+
+  return builder.finish({ data: jsonData });
+}
+
+/**
+ * Creates a planner that receives a document piece by piece. createBuildPlan
+ * walks a parsed document with it; the streaming planner drives it from
+ * parser events so entries can be written before the whole document is read.
+ *
+ * Folders handed out by the builder are { path, depth, pointer, isArray }.
+ *
+ * @param {Object} options - Planning options (see createBuildPlan)
+ * @param {Object} hooks - Optional hooks
+ * @param {Function} hooks.onEntry - Receives every entry as soon as it is planned; entries are then
+ *   not kept, so the finished plan has an empty entries list and no _manifest.json can be added
+ * @param {Object} hooks.expansion - expandPathKeys result used for pointers and path conflicts
+ * @returns {Object} - Builder with date, rootPath, compressionLevel, getRootFolder, addRootValue,
+ *   addRootChildren, addChild, openChild, closeFolder and finish
+ */
+function createPlanBuilder(options = {}, hooks = {}) {
+  const config = {
+    rootName: 'project',
+    createReadme: true,
+    includeMetadata: true,
+    naming: null,
+    expandPaths: false,
+    decodeBinary: true,
+    includeManifest: false,
+    reproducible: false,
+    includeChecksums: false,
+    compression: null,
+    ...options
+  };
+  if (hooks.onEntry && config.includeManifest) {
+    throw new Error('_manifest.json needs the whole document and cannot be planned incrementally');
+  }
+
+  const planDate = config.date || (config.reproducible ? getSourceDate(config.sourceDateEpoch) : new Date());
+  const extensionPolicy = config.extensionPolicy || config.naming?.extensionPolicy || 'keep';
+  const compression = { ...DEFAULT_COMPRESSION_POLICY, ...config.compression };
+
+  const rootName = config.rootName ? sanitizeFileName(config.rootName) : '';
+  const entries = [];
+  const usedNames = new Map();
+  const fileCounters = new Map();
+  const extensionMismatches = [];
+  const expansion = hooks.expansion || { conflicts: [], origins: null };
+  const stats = { totalFiles: 0, totalFolders: 0, totalSize: 0, maxDepth: 0 };
+  // Hashes are taken as files are planned, so streamed entries need not be kept
+  const fileHashes = config.includeChecksums ? [] : null;
+  let rootPath = '';
+
+  function joinPath(parentPath, name) {
+    return parentPath ? `${parentPath}/${name}` : name;
+  }
+
+  function emit(entry) {
+    if (entry.type === 'file') {
+      const relativePath = rootPath ? entry.path.slice(rootPath.length + 1) : entry.path;
+      entry.compression = resolveCompression(entry, relativePath, compression);
+      fileHashes?.push(...hashPlanEntries([entry], rootPath));
+    }
+    updatePlanStatistics(stats, entry);
+
+    if (hooks.onEntry) {
+      hooks.onEntry(entry);
+    } else {
+      entries.push(entry);
+    }
+  }
+
+  // Names are made unique per folder so that sanitized keys which collapse to
+  // the same name (e.g. "a b" and "a_b") never overwrite each other
+  function claimName(parentPath, name) {
+    if (!usedNames.has(parentPath)) {
+      usedNames.set(parentPath, new Set());
+    }
+    const used = usedNames.get(parentPath);
+
+    let candidate = name;
+    let counter = 1;
+    while (used.has(candidate)) {
+      const dotIndex = name.lastIndexOf('.');
+      candidate = dotIndex > 0
+        ? `${name.slice(0, dotIndex)}_${counter}${name.slice(dotIndex)}`
+        : `${name}_${counter}`;
+      counter++;
+    }
+
+    used.add(candidate);
+    return candidate;
+  }
+
+  function addFolder(parentPath, name, depth, origin = null) {
+    const folderName = claimName(parentPath, name);
+    const path = joinPath(parentPath, folderName);
+    emit(origin ? { type: 'folder', name: folderName, path, depth, origin } : { type: 'folder', name: folderName, path, depth });
+    return path;
+  }
+
+  // Pointer of a child in the original document; expanded path segments
+  // that never existed as keys have none
+  function getChildPointer(container, key, pointer) {
+    if (!expansion.origins) {
+      return pointer === null ? null : appendPointer(pointer, key);
+    }
+    return expansion.origins.get(container)?.get(String(key)) ?? null;
+  }
+
+  // origin is { pointer, key } plus, for manifests, how to rebuild the value
+  function getFileOrigin(pointer, key, value, content, encoding = 'utf8') {
+    if (pointer === null) return null;
+    const origin = { pointer, key };
+    return config.includeManifest ? { ...origin, ...describeFileOrigin(value, content, encoding) } : origin;
+  }
+
+  function getFolderOrigin(pointer, key, isArray) {
+    return pointer === null ? null : { pointer, key, valueType: isArray ? 'array' : 'object' };
+  }
+
+  // attributes carries optional encoding, mode, date and comment from file directives
+  function addFile(parentPath, name, content, depth, source = 'data', attributes = {}) {
+    const fileName = claimName(parentPath, name);
+    const path = joinPath(parentPath, fileName);
+    emit({
+      type: 'file',
+      name: fileName,
+      path,
+      depth,
+      content,
+      size: attributes.encoding === 'base64' ? getBase64ByteLength(content) : getByteLength(content),
+      source,
+      ...attributes
+    });
+    return path;
+  }
+
+  // Applies the naming config to the raw key, then sanitizes the result;
+  // sibling files are indexed in plan order
+  function formatName(parentPath, baseName, extension, type) {
+    let index = 0;
+    if (type === 'file') {
+      index = (fileCounters.get(parentPath) || 0) + 1;
+      fileCounters.set(parentPath, index);
+    }
+    const name = applyNamingConfig(baseName, extension, { type, index, config: config.naming, date: planDate });
+    return sanitizeFileName(name) || 'unnamed';
+  }
+
+  function addValue(parentPath, baseName, value, depth, pointer = null, key = baseName) {
+    if (isFileDirective(value)) {
+      const { content, encoding, mimeType, mode, date, comment } = parseFileDirective(value);
+      const attributes = { encoding };
+      if (mimeType !== null) attributes.mimeType = mimeType;
+      if (mode !== null) attributes.mode = mode;
+      if (date !== null) attributes.date = date;
+      if (comment !== null) attributes.comment = comment;
+      const origin = getFileOrigin(pointer, key, value, content, encoding);
+      if (origin) attributes.origin = origin;
+
+      addDataFile(parentPath, baseName, content, getContentExtension(content, encoding, mimeType), depth, attributes);
+      return;
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      const origin = getFolderOrigin(pointer, key, Array.isArray(value));
+      const folderPath = addFolder(parentPath, formatName(parentPath, baseName, '', 'folder'), depth, origin);
+      addChildren(folderPath, value, depth + 1, pointer);
+      releaseFolder(folderPath);
+      return;
+    }
+
+    const binary = config.decodeBinary ? parseBinaryString(value) : null;
+    if (binary) {
+      const { content, encoding, mimeType } = binary;
+      const attributes = mimeType ? { encoding, mimeType } : { encoding };
+      const origin = getFileOrigin(pointer, key, value, content, encoding);
+      if (origin) attributes.origin = origin;
+      addDataFile(parentPath, baseName, content, getContentExtension(content, encoding, mimeType), depth, attributes);
+      return;
+    }
+
+    const content = serializeValue(value);
+    const origin = getFileOrigin(pointer, key, value, content);
+    addDataFile(parentPath, baseName, content, getSmartFileExtension(value), depth, origin ? { origin } : {});
+  }
+
+  function addDataFile(parentPath, baseName, content, detected, depth, attributes) {
+    const declared = splitDeclaredExtension(baseName);
+    let fileBase = baseName;
+    let ext = detected;
+
+    if (declared.extension && extensionPolicy !== 'append') {
+      fileBase = declared.baseName;
+      // Dotfiles such as ".env" have no base name to attach another extension to
+      ext = extensionPolicy === 'keep' || !declared.baseName ? declared.extension : detected;
+    }
+
+    const path = addFile(parentPath, formatName(parentPath, fileBase, ext, 'file'), content, depth, 'data', attributes);
+
+    if (declared.baseName && declared.extension && !isCompatibleExtension(declared.extension, detected)) {
+      extensionMismatches.push({ path, key: baseName, declared: declared.extension, detected });
+    }
+  }
+
+  // Nothing is added to a completed folder, so its name bookkeeping can go
+  function releaseFolder(folderPath) {
+    usedNames.delete(folderPath);
+    fileCounters.delete(folderPath);
+  }
+
+  function addEmptyMarker(folderPath, isArray, depth) {
+    if (isArray) {
+      addFile(folderPath, 'empty_array.json', '[]', depth);
+    } else {
+      addFile(folderPath, 'empty_object.json', '{}', depth);
+    }
+  }
+
+  function addChildren(folderPath, data, depth, pointer) {
+    if (Array.isArray(data)) {
+      if (data.length === 0) {
+        addEmptyMarker(folderPath, true, depth);
+        return;
+      }
+      data.forEach((item, index) => {
+        addValue(folderPath, getItemName(index), item, depth, getChildPointer(data, index, pointer), index);
+      });
+      return;
+    }
+
+    const keys = Object.keys(data);
+    if (keys.length === 0) {
+      addEmptyMarker(folderPath, false, depth);
+      return;
+    }
+    keys.forEach(key => {
+      addValue(folderPath, key, data[key], depth, getChildPointer(data, key, pointer));
+    });
+  }
+
+  rootPath = rootName ? addFolder('', rootName, 0) : '';
+  const contentDepth = rootName ? 1 : 0;
+
+  return {
+    date: planDate,
+    rootPath,
+    compressionLevel: compression.level,
+
+    /**
+     * Folder that receives the children of an object or array document
+     * @param {boolean} isArray - Whether the document is an array
+     * @returns {Object} - Root folder
+     */
+    getRootFolder(isArray) {
+      return { path: rootPath, depth: contentDepth, pointer: '', isArray };
+    },
+
+    /**
+     * Plans a document that is not an object or array
+     * @param {any} value - Primitive document
+     */
+    addRootValue(value) {
+      addValue(rootPath, 'value', value, contentDepth, '', null);
+    },
+
+    /**
+     * Plans every child of a parsed object or array document
+     * @param {Object|Array} data - Document
+     */
+    addRootChildren(data) {
+      addChildren(rootPath, data, contentDepth, '');
+    },
+
+    /**
+     * Plans a complete child value of a folder
+     * @param {Object} folder - Parent folder
+     * @param {string|number} key - Object key or array index
+     * @param {any} value - Parsed value
+     */
+    addChild(folder, key, value) {
+      const baseName = folder.isArray ? getItemName(key) : key;
+      addValue(folder.path, baseName, value, folder.depth, appendPointer(folder.pointer, key), key);
+    },
+
+    /**
+     * Plans the folder of an object or array child whose contents follow
+     * @param {Object} folder - Parent folder
+     * @param {string|number} key - Object key or array index
+     * @param {boolean} isArray - Whether the child is an array
+     * @returns {Object} - The child folder
+     */
+    openChild(folder, key, isArray) {
+      const baseName = folder.isArray ? getItemName(key) : key;
+      const pointer = appendPointer(folder.pointer, key);
+      const path = addFolder(folder.path, formatName(folder.path, baseName, '', 'folder'), folder.depth, getFolderOrigin(pointer, key, isArray));
+      return { path, depth: folder.depth + 1, pointer, isArray };
+    },
+
+    /**
+     * Completes a folder opened with openChild or getRootFolder
+     * @param {Object} folder - Folder
+     * @param {number} childCount - Number of children it received
+     */
+    closeFolder(folder, childCount) {
+      if (childCount === 0) {
+        addEmptyMarker(folder.path, folder.isArray, folder.depth);
+      }
+      if (folder.path !== rootPath) {
+        releaseFolder(folder.path);
+      }
+    },
+
+    /**
+     * Adds the generated files and returns the plan
+     * @param {Object} document - { data } for a parsed document, or { stats, size } from a streaming parser
+     * @returns {Object} - Plan with rootName, date, compressionLevel, entries, stats, extensionMismatches and pathConflicts
+     */
+    finish(document) {
+      const documentStats = document.stats || analyzeJsonStructure(document.data);
+
+      if (config.createReadme) {
+        addFile(rootPath, 'README.md', generateReadmeContent(documentStats, rootName || 'output', planDate), contentDepth, 'readme');
+      }
+
+      if (config.includeManifest) {
+        const manifest = buildManifest({ rootName, entries, pathConflicts: expansion.conflicts }, document.data);
+        addFile(rootPath, MANIFEST_FILE, JSON.stringify(manifest, null, 2), contentDepth, 'manifest');
+      }
+
+      // _metadata.json cannot list its own hash, so only CHECKSUMS.sha256 covers it
+      const dataHashes = fileHashes?.slice();
+
+      if (config.includeMetadata) {
+        const originalSize = document.size ?? JSON.stringify(document.data).length;
+        const metadata = generateMetadata(documentStats, originalSize, rootName || 'output', planDate, config.reproducible);
+        if (dataHashes) {
+          metadata.integrity = { algorithm: 'sha256', files: dataHashes };
+        }
+        addFile(rootPath, '_metadata.json', JSON.stringify(metadata, null, 2), contentDepth, 'metadata');
+      }
+
+      if (fileHashes) {
+        addFile(rootPath, CHECKSUMS_FILE, formatChecksumFile(fileHashes), contentDepth, 'checksums');
+      }
+
+      return {
+        rootName,
+        date: planDate,
+        compressionLevel: compression.level,
+        entries,
+        stats,
+        extensionMismatches,
+        pathConflicts: expansion.conflicts
+      };
+    }
+  };
+}
+
+/**
+ * Converts a flat build plan into a nested tree for preview components
+ * @param {Object} plan - Plan returned by createBuildPlan
+ * @returns {Object} - Root node with name, path, type, size, content and children
+ */
+function buildTreeFromPlan(plan) {
+  const tree = createTreeBuilder(plan.rootName);
+  plan.entries.forEach(entry => tree.add(entry));
+  return tree.root;
+}
+
+/**
+ * Builds the preview tree one plan entry at a time, for plans whose entries
+ * arrive from a streaming parser
+ * @param {string} rootName - Root folder name of the plan
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.includeContent - Keep file contents on the nodes (defaults to true)
+ * @returns {Object} - { root, add(entry) }; add returns the new node, or null for the root entry
+ */
+function createTreeBuilder(rootName, options = {}) {
+  const includeContent = options.includeContent ?? true;
+  const root = { name: rootName || 'root', path: rootName || '', type: 'folder', children: [] };
+  const folders = new Map([[root.path, root]]);
+
+  function add(entry) {
+    if (entry.path === root.path) return null;
+
+    const parentPath = entry.path.slice(0, Math.max(entry.path.lastIndexOf('/'), 0));
+    const parent = folders.get(parentPath) || root;
+    const node = entry.type === 'folder'
+      ? { name: entry.name, path: entry.path, type: 'folder', children: [] }
+      : {
+        name: entry.name,
+        path: entry.path,
+        type: 'file',
+        size: entry.size,
+        content: includeContent ? entry.content : undefined,
+        encoding: entry.encoding || 'utf8',
+        mimeType: entry.mimeType,
+        mode: entry.mode,
+        compression: entry.compression,
+        children: []
+      };
+
+    if (entry.type === 'folder') {
+      folders.set(entry.path, node);
+    }
+    parent.children.push(node);
+    return node;
+  }
+
+  return { root, add };
+}
+
+/**
+ * Resolves the fixed timestamp of a reproducible build, following the
+ * SOURCE_DATE_EPOCH convention (https://reproducible-builds.org/specs/source-date-epoch/)
+ * @param {number|string} sourceDateEpoch - Seconds since the Unix epoch (defaults to the environment variable)
+ * @returns {Date} - Source date, or 1980-01-01 when none is set or it is invalid
+ */
+function getSourceDate(sourceDateEpoch) {
+  const epoch = sourceDateEpoch ?? (typeof process !== 'undefined' ? process.env?.SOURCE_DATE_EPOCH : undefined);
+  if (epoch !== undefined && epoch !== null && /^\d+$/.test(String(epoch).trim())) {
+    return new Date(Number(epoch) * 1000);
+  }
+  return new Date(REPRODUCIBLE_DATE);
+}
+
+/**
+ * Adds one plan entry to the file/folder counts and sizes
+ * @param {Object} stats - Statistics object, updated in place
+ * @param {Object} entry - Plan entry
+ */
+function updatePlanStatistics(stats, entry) {
+  stats.maxDepth = Math.max(stats.maxDepth, entry.depth);
+  if (entry.type === 'file') {
+    stats.totalFiles++;
+    stats.totalSize += entry.size;
+  } else {
+    stats.totalFolders++;
+  }
+}
+
+// Array items are named item_000, item_001, ...
+function getItemName(index) {
+  return `item_${index.toString().padStart(3, '0')}`;
+}
+
+/**
+ * Serializes a primitive value into file content
+ * @param {any} value - Primitive value
+ * @returns {string} - File content
+ */
+function serializeValue(value) {
+  if (typeof value === 'string') return value;
+  if (value === undefined) return 'null';
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Returns the UTF-8 byte length of a string
+ * @param {string} content - File content
+ * @returns {number} - Size in bytes
+ */
+function getByteLength(content) {
+  return new TextEncoder().encode(content).length;
+}
+
+/** Sanitize file names */
+function sanitizeFileName(fileName) {
+  return fileName
+    .replace(/[<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '')
+    .substring(0, 255);
+}
+
+/** Generate README content */
+function generateReadmeContent(stats, rootName, date = new Date()) {
+  const timestamp = date.toISOString();
+  return `# ${rootName}
+
+Generated from JSON structure on ${timestamp}
+
+## Structure Overview
+- **Total Objects**: ${stats.objectCount}
+- **Total Arrays**: ${stats.arrayCount}
+- **Total Files**: ${stats.fileCount}
+- **Max Depth**: ${stats.maxDepth}
+
+## File Organization
+- Objects become folders
+- Arrays become numbered item folders
+- Primitive values become individual files with smart extensions
+- Keys that already end in a known extension (e.g. \`Button.js\`) keep it
+- \`data:\` URIs and \`base64:\` strings are decoded into binary files
+- Objects with a \`$content\` key become a single file (\`$encoding\`, \`$mode\`, \`$mtime\`, \`$comment\`)
+- Empty objects/arrays are preserved as special files
+
+## Smart File Extensions
+- JavaScript code → .js
+- HTML content → .html
+- CSS styles → .css
+- JSON data → .json
+- Markdown → .md
+- Other text → .txt
+
+Generated by JSON to ZIP Converter`;
+}
+
+/** Generate metadata */
+function generateMetadata(stats, originalSize, rootName, date = new Date(), reproducible = false) {
+  return {
+    generatedAt: date.toISOString(),
+    rootName,
+    originalSize,
+    statistics: stats,
+    version: '1.0.0',
+    features: {
+      smartExtensions: true,
+      sanitizedNames: true,
+      structurePreservation: true,
+      reproducible
+    }
+  };
+}
+
+/**
+ * Counts objects, arrays and files of a JSON value, as listed in README.md and _metadata.json
+ * @param {any} data - JSON value
+ * @param {number} depth - Depth of the value in the document
+ * @returns {Object} - { objectCount, arrayCount, fileCount, maxDepth }
+ */
+function analyzeJsonStructure(data, depth = 0) {
+  const stats = { objectCount: 0, arrayCount: 0, fileCount: 0, maxDepth: depth };
+
+  if (isFileDirective(data)) {
+    stats.fileCount = 1;
+  } else if (Array.isArray(data)) {
+    stats.arrayCount = 1;
+    data.forEach(item => {
+      const sub = analyzeJsonStructure(item, depth + 1);
+      stats.objectCount += sub.objectCount;
+      stats.arrayCount += sub.arrayCount;
+      stats.fileCount += sub.fileCount;
+      stats.maxDepth = Math.max(stats.maxDepth, sub.maxDepth);
+    });
+  } else if (typeof data === 'object' && data !== null) {
+    stats.objectCount = 1;
+    Object.values(data).forEach(v => {
+      const sub = analyzeJsonStructure(v, depth + 1);
+      stats.objectCount += sub.objectCount;
+      stats.arrayCount += sub.arrayCount;
+      stats.fileCount += sub.fileCount;
+      stats.maxDepth = Math.max(stats.maxDepth, sub.maxDepth);
+    });
+  } else {
+    stats.fileCount = 1;
+  }
+
+  return stats;
+}
+
+export { createBuildPlan, createPlanBuilder, analyzeJsonStructure, buildTreeFromPlan, createTreeBuilder, getSourceDate, sanitizeFileName, getByteLength };
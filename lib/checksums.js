@@ -0,0 +1,63 @@
+/* EXPORTS: CHECKSUMS_FILE, getEntryBytes, hashPlanEntries, formatChecksumFile, parseChecksumFile */
+
+import { decodeBase64 } from './binaryContent';
+import { sha256Hex } from './sha256';
+
+const CHECKSUMS_FILE = 'CHECKSUMS.sha256';
+
+/**
+ * Returns the bytes written to the archive for a plan file entry
+ * @param {Object} entry - File entry from the build plan
+ * @returns {Uint8Array} - Decoded base64 or UTF-8 encoded text
+ */
+function getEntryBytes(entry) {
+  return entry.encoding === 'base64' ? decodeBase64(entry.content) : new TextEncoder().encode(entry.content);
+}
+
+/**
+ * Hashes every file entry of a plan
+ * @param {Array} entries - Plan entries
+ * @param {string} rootPath - Root folder path, stripped from the listed paths
+ * @returns {Array} - [{ path, size, sha256 }] with paths relative to the root folder
+ */
+function hashPlanEntries(entries, rootPath = '') {
+  const prefix = rootPath ? `${rootPath}/` : '';
+  return entries
+    .filter(entry => entry.type === 'file')
+    .map(entry => {
+      const bytes = getEntryBytes(entry);
+      return { path: entry.path.slice(prefix.length), size: bytes.length, sha256: sha256Hex(bytes) };
+    });
+}
+
+/**
+ * Formats hashes in the sha256sum text format, so "sha256sum -c CHECKSUMS.sha256"
+ * works from inside the root folder
+ * @param {Array} files - [{ path, sha256 }]
+ * @returns {string} - One "<hash>  <path>" line per file
+ */
+function formatChecksumFile(files) {
+  return files.map(file => `${file.sha256}  ${file.path}\n`).join('');
+}
+
+/**
+ * Parses a sha256sum file (text or "*" binary mode lines)
+ * @param {string} text - File contents
+ * @returns {Array|null} - [{ path, sha256 }], or null when a line is not a checksum
+ */
+function parseChecksumFile(text) {
+  const files = [];
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+
+  for (const line of lines) {
+    const match = /^([0-9a-fA-F]{64}) [ *](.+)$/.exec(line.replace(/\r$/, ''));
+    if (!match) {
+      return null;
+    }
+    files.push({ path: match[2], sha256: match[1].toLowerCase() });
+  }
+
+  return files.length > 0 ? files : null;
+}
+
+export { CHECKSUMS_FILE, getEntryBytes, hashPlanEntries, formatChecksumFile, parseChecksumFile };
@@ -0,0 +1,192 @@
+/* EXPORTS: DEFAULT_COMPRESSION_POLICY, PRECOMPRESSED_EXTENSIONS, globToRegExp, validateCompressionOverride, validateCompressionPolicy, resolveCompression, summarizeCompression, formatByteSize */
+
+import pako from 'pako';
+import { getEntryBytes } from './checksums';
+
+/**
+ * Default compression policy: DEFLATE level 6, with already-compressed
+ * binary files stored as-is
+ */
+const DEFAULT_COMPRESSION_POLICY = {
+  level: 6,
+  storePrecompressed: true,
+  overrides: []
+};
+
+/**
+ * Extensions whose content is already compressed, so DEFLATE only costs time
+ */
+const PRECOMPRESSED_EXTENSIONS = [
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif',
+  '.zip', '.gz', '.woff', '.woff2', '.mp3', '.mp4', '.webm', '.ogg'
+];
+
+// Larger files are estimated from a prefix of this size
+const ESTIMATE_SAMPLE_BYTES = 256 * 1024;
+
+/**
+ * Converts a glob into a regular expression: "*" and "?" stay within a
+ * folder, "**" spans folders and "{a,b}" matches either alternative
+ * @param {string} glob - Pattern such as "assets/**\/*.{png,svg}"
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let inBraces = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && !inBraces) {
+      source += '(?:';
+      inBraces = true;
+    } else if (char === '}' && inBraces) {
+      source += ')';
+      inBraces = false;
+    } else if (char === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}${inBraces ? ')' : ''}$`);
+}
+
+/**
+ * Checks a per-glob override
+ * @param {Object} override - { pattern, level } with level 0 (store) to 9
+ * @returns {string|null} - Error message, or null when the override is usable
+ */
+function validateCompressionOverride(override) {
+  if (!override?.pattern) {
+    return 'Pattern is required';
+  }
+  return validateLevel(override.level);
+}
+
+/**
+ * Checks a whole compression policy, e.g. one sent to the API
+ * @param {Object} policy - { level, storePrecompressed, overrides }
+ * @returns {string|null} - First error message, or null when the policy is usable
+ */
+function validateCompressionPolicy(policy) {
+  if (policy.level !== undefined) {
+    const levelError = validateLevel(policy.level);
+    if (levelError) return levelError;
+  }
+  if (policy.overrides !== undefined && !Array.isArray(policy.overrides)) {
+    return 'Overrides must be an array';
+  }
+  const overrideError = (policy.overrides || []).map(validateCompressionOverride).find(Boolean);
+  return overrideError ? `Override: ${overrideError}` : null;
+}
+
+function validateLevel(level) {
+  if (!Number.isInteger(level) || level < 0 || level > 9) {
+    return 'Level must be between 0 (store) and 9';
+  }
+  return null;
+}
+
+/**
+ * Resolves how one file is compressed. Overrides win over the precompressed
+ * rule, and later overrides win over earlier ones. Patterns without a "/"
+ * match the file name, others the path below the root folder.
+ * @param {Object} entry - File entry from the build plan
+ * @param {string} relativePath - Entry path below the root folder
+ * @param {Object} policy - Compression policy
+ * @returns {Object} - { method: 'STORE' | 'DEFLATE', level }
+ */
+function resolveCompression(entry, relativePath, policy = DEFAULT_COMPRESSION_POLICY) {
+  let level = policy.level ?? DEFAULT_COMPRESSION_POLICY.level;
+
+  const dotIndex = entry.name.lastIndexOf('.');
+  const extension = dotIndex > 0 ? entry.name.slice(dotIndex).toLowerCase() : '';
+  if (policy.storePrecompressed && entry.encoding === 'base64' && PRECOMPRESSED_EXTENSIONS.includes(extension)) {
+    level = 0;
+  }
+
+  (policy.overrides || []).forEach(override => {
+    if (validateCompressionOverride(override)) return;
+    const target = override.pattern.includes('/') ? relativePath : entry.name;
+    if (globToRegExp(override.pattern).test(target)) {
+      level = override.level;
+    }
+  });
+
+  return level === 0 ? { method: 'STORE', level: 0 } : { method: 'DEFLATE', level };
+}
+
+/**
+ * Estimates compressed sizes for every file and folder of a plan
+ * @param {Object} plan - Plan whose file entries carry a compression setting
+ * @returns {Object} - Map of entry path to { size, compressedSize }; folders sum their contents
+ */
+function summarizeCompression(plan) {
+  const summary = {};
+
+  plan.entries.forEach(entry => {
+    if (entry.type === 'folder') {
+      summary[entry.path] = { size: 0, compressedSize: 0 };
+      return;
+    }
+
+    const bytes = getEntryBytes(entry);
+    const compressedSize = estimateCompressedSize(bytes, entry.compression?.level ?? DEFAULT_COMPRESSION_POLICY.level);
+    summary[entry.path] = { size: bytes.length, compressedSize };
+
+    // Add the file to every enclosing folder
+    let slash = entry.path.lastIndexOf('/');
+    while (slash > 0) {
+      const folder = summary[entry.path.slice(0, slash)];
+      if (folder) {
+        folder.size += bytes.length;
+        folder.compressedSize += compressedSize;
+      }
+      slash = entry.path.lastIndexOf('/', slash - 1);
+    }
+  });
+
+  return summary;
+}
+
+function estimateCompressedSize(bytes, level) {
+  if (level === 0 || bytes.length === 0) {
+    return bytes.length;
+  }
+  const sample = bytes.length > ESTIMATE_SAMPLE_BYTES ? bytes.subarray(0, ESTIMATE_SAMPLE_BYTES) : bytes;
+  const compressed = pako.deflateRaw(sample, { level }).length;
+  // DEFLATE falls back to storing when compression does not help
+  const ratio = Math.min(compressed / sample.length, 1);
+  return Math.round(bytes.length * ratio);
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "512 B", "1.5 KB", "2.3 MB"
+ */
+function formatByteSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export {
+  DEFAULT_COMPRESSION_POLICY,
+  PRECOMPRESSED_EXTENSIONS,
+  globToRegExp,
+  validateCompressionOverride,
+  validateCompressionPolicy,
+  resolveCompression,
+  summarizeCompression,
+  formatByteSize
+};
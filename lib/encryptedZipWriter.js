@@ -0,0 +1,55 @@
+/* EXPORTS: ENCRYPTION_METHODS, generateEncryptedZipFromPlan */
+
+import { concatBytes, toOutputType } from './binaryContent';
+import { createZipStreamWriter } from './zipStreamWriter';
+
+/**
+ * Supported ZIP encryption methods, with the tools that can open each one
+ */
+export const ENCRYPTION_METHODS = {
+  zipcrypto: {
+    label: 'ZipCrypto',
+    warning: 'Opens in Windows Explorer, macOS Archive Utility, unzip and 7-Zip, but is weak: ' +
+      'anyone who knows part of a file can recover the contents without the password.'
+  },
+  aes256: {
+    label: 'AES-256',
+    warning: 'Strong encryption, but needs 7-Zip, WinZip, WinRAR, Keka, The Unarchiver or bsdtar; ' +
+      'Windows Explorer, macOS Archive Utility and unzip cannot open it.'
+  }
+};
+
+/**
+ * Writes every entry of a build plan into a password-protected ZIP archive.
+ *
+ * JSZip cannot encrypt, so the archive is written by createZipStreamWriter.
+ * Random salts make encrypted archives differ between runs even for
+ * reproducible plans.
+ *
+ * @param {Object} plan - Plan returned by createBuildPlan
+ * @param {Object} options - Configuration options
+ * @param {string} options.encryption - 'zipcrypto' or 'aes256'
+ * @param {string} options.password - Password (UTF-8 encoded)
+ * @param {string} options.outputType - 'blob', 'nodebuffer', 'uint8array' or 'arraybuffer'
+ * @param {Function} options.onUpdate - Receives { percent, currentFile } after each entry, like JSZip
+ * @returns {Promise<Blob|Buffer|Uint8Array|ArrayBuffer>} - The encrypted ZIP
+ */
+export async function generateEncryptedZipFromPlan(plan, options = {}) {
+  const { encryption, password } = options;
+  if (!ENCRYPTION_METHODS[encryption]) {
+    throw new Error(`Unsupported encryption "${encryption}" (expected ${Object.keys(ENCRYPTION_METHODS).join(' or ')})`);
+  }
+  if (typeof password !== 'string' || password === '') {
+    throw new Error('A password is required for encrypted ZIP files');
+  }
+
+  const chunks = [];
+  const writer = createZipStreamWriter({ encryption, password, date: plan.date, onData: chunk => chunks.push(chunk) });
+  plan.entries.forEach((entry, index) => {
+    writer.addEntry(entry);
+    options.onUpdate?.({ percent: ((index + 1) / plan.entries.length) * 100, currentFile: entry.path });
+  });
+  writer.finish();
+
+  return toOutputType(concatBytes(chunks), options.outputType || 'blob', 'application/zip');
+}
@@ -0,0 +1,108 @@
+/* EXPORTS: DIRECTIVE_KEYS, isFileDirective, parseFileDirective, getBase64ByteLength */
+
+import { isValidBase64, parseDataUri } from './binaryContent';
+
+/**
+ * Keys that describe a single file when an object contains "$content", e.g.
+ * { "$content": "...", "$encoding": "base64", "$mode": "755", "$mtime": "2024-01-01T00:00:00Z", "$comment": "..." }
+ */
+const DIRECTIVE_KEYS = ['$content', '$encoding', '$mode', '$mtime', '$comment'];
+
+const ENCODINGS = ['utf8', 'utf-8', 'base64'];
+
+/**
+ * Checks whether a JSON value is a file descriptor rather than a folder
+ * @param {any} value - JSON value
+ * @returns {boolean} - True for objects with a "$content" key
+ */
+function isFileDirective(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    Object.prototype.hasOwnProperty.call(value, '$content');
+}
+
+/**
+ * Reads a file descriptor into the values used by the planner and ZIP writer.
+ * Invalid directive values are reported and ignored rather than thrown.
+ * @param {Object} value - Object with a "$content" key
+ * @returns {Object} - { content, encoding, mimeType, mode, date, comment, errors, unknownKeys, ignoredKeys }
+ */
+function parseFileDirective(value) {
+  const errors = [];
+  const unknownKeys = [];
+  const ignoredKeys = [];
+
+  Object.keys(value).forEach(key => {
+    if (!key.startsWith('$')) {
+      ignoredKeys.push(key);
+    } else if (!DIRECTIVE_KEYS.includes(key)) {
+      unknownKeys.push(key);
+    }
+  });
+
+  const rawContent = value.$content;
+  let content = typeof rawContent === 'string' ? rawContent : JSON.stringify(rawContent ?? null, null, 2);
+
+  let encoding = 'utf8';
+  let mimeType = null;
+  if (value.$encoding === undefined && content.startsWith('data:')) {
+    const dataUri = parseDataUri(content);
+    if (dataUri) {
+      ({ content, encoding, mimeType } = dataUri);
+    } else {
+      errors.push('$content is not a valid data URI');
+    }
+  } else if (value.$encoding !== undefined) {
+    const requested = String(value.$encoding).toLowerCase();
+    if (!ENCODINGS.includes(requested)) {
+      errors.push(`Unsupported $encoding "${value.$encoding}" (expected utf8 or base64)`);
+    } else if (requested === 'base64') {
+      const normalized = content.replace(/\s+/g, '');
+      if (isValidBase64(normalized)) {
+        encoding = 'base64';
+        content = normalized;
+      } else {
+        errors.push('$content is not valid base64');
+      }
+    }
+  }
+
+  let mode = null;
+  if (value.$mode !== undefined) {
+    // Numbers are read as their octal digits, so 755 and "755" mean the same
+    const modeString = String(value.$mode);
+    if (/^0?[0-7]{3}$/.test(modeString)) {
+      mode = parseInt(modeString, 8);
+    } else {
+      errors.push(`Invalid $mode "${value.$mode}" (expected octal such as "644" or "755")`);
+    }
+  }
+
+  let date = null;
+  if (value.$mtime !== undefined) {
+    const parsed = new Date(value.$mtime);
+    if (Number.isNaN(parsed.getTime())) {
+      errors.push(`Invalid $mtime "${value.$mtime}" (expected an ISO 8601 date)`);
+    } else {
+      date = parsed;
+    }
+  }
+
+  let comment = null;
+  if (value.$comment !== undefined) {
+    comment = String(value.$comment);
+  }
+
+  return { content, encoding, mimeType, mode, date, comment, errors, unknownKeys, ignoredKeys };
+}
+
+/**
+ * Returns the decoded size of a base64 string
+ * @param {string} base64 - Base64 content without whitespace
+ * @returns {number} - Size in bytes
+ */
+function getBase64ByteLength(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+export { DIRECTIVE_KEYS, isFileDirective, parseFileDirective, getBase64ByteLength };
@@ -0,0 +1,195 @@
+/* EXPORTS: DEFAULT_NAMING_CONFIG, applyNamingConfig, formatIndex, formatTimestamp, validateNamingRule, validateNamingConfig */
+
+/**
+ * Default naming configuration, shared by FileNamingOptions and the page state
+ */
+const DEFAULT_NAMING_CONFIG = {
+  useCustomPrefix: false,
+  customPrefix: '',
+  useTimestamp: false,
+  timestampFormat: 'iso',
+  useIndexing: false,
+  indexFormat: 'numeric',
+  preserveOriginalNames: true,
+  fileExtension: 'auto',
+  extensionPolicy: 'keep',
+  customRules: []
+};
+
+// Value types of the naming options, for configurations that do not come from FileNamingOptions
+const OPTION_TYPES = {
+  useCustomPrefix: 'boolean',
+  customPrefix: 'string',
+  useTimestamp: 'boolean',
+  timestampFormat: 'string',
+  useIndexing: 'boolean',
+  indexFormat: 'string',
+  preserveOriginalNames: 'boolean',
+  fileExtension: 'string',
+  extensionPolicy: 'string'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Applies a FileNamingOptions config to a single planned entry name
+ * @param {string} baseName - Original key or item name without extension
+ * @param {string} extension - Planned extension including the dot ('' for folders)
+ * @param {Object} context - Naming context
+ * @param {string} context.type - 'file' or 'folder'
+ * @param {number} context.index - 1-based position among sibling files
+ * @param {Object} context.config - Naming configuration
+ * @param {Date} context.date - Timestamp shared by every entry of the plan
+ * @returns {string} - Final entry name
+ */
+function applyNamingConfig(baseName, extension, { type, index = 1, config, date = new Date() }) {
+  if (!config) {
+    return `${baseName}${extension}`;
+  }
+
+  let name = baseName;
+
+  config.customRules?.forEach(rule => {
+    const appliesToType = rule.applyTo === 'all' ||
+      (rule.applyTo === 'files' && type === 'file') ||
+      (rule.applyTo === 'folders' && type === 'folder');
+    if (!appliesToType || validateNamingRule(rule)) return;
+    name = name.replace(new RegExp(rule.pattern, 'g'), rule.replacement ?? '');
+  });
+
+  if (config.preserveOriginalNames === false) {
+    name = name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_|_$/g, '');
+  }
+
+  if (type === 'folder') {
+    return name;
+  }
+
+  if (config.useCustomPrefix && config.customPrefix) {
+    name = `${config.customPrefix}_${name}`;
+  }
+
+  if (config.useIndexing) {
+    name = `${name}_${formatIndex(index, config.indexFormat)}`;
+  }
+
+  if (config.useTimestamp) {
+    name = `${name}_${formatTimestamp(date, config.timestampFormat)}`;
+  }
+
+  if (!config.fileExtension || config.fileExtension === 'auto') {
+    return `${name}${extension}`;
+  }
+  if (config.fileExtension === 'none') {
+    return name;
+  }
+  return `${name}${config.fileExtension}`;
+}
+
+/**
+ * Formats a 1-based index as numeric (001), alphabetic (a) or roman (i)
+ * @param {number} index - 1-based index
+ * @param {string} format - 'numeric', 'alpha' or 'roman'
+ * @returns {string} - Formatted index
+ */
+function formatIndex(index, format = 'numeric') {
+  if (format === 'alpha') {
+    let result = '';
+    let remaining = index;
+    while (remaining > 0) {
+      remaining--;
+      result = String.fromCharCode(97 + (remaining % 26)) + result;
+      remaining = Math.floor(remaining / 26);
+    }
+    return result;
+  }
+
+  if (format === 'roman') {
+    const numerals = [
+      [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+      [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+    ];
+    let result = '';
+    let remaining = index;
+    numerals.forEach(([value, numeral]) => {
+      while (remaining >= value) {
+        result += numeral;
+        remaining -= value;
+      }
+    });
+    return result;
+  }
+
+  return index.toString().padStart(3, '0');
+}
+
+/**
+ * Formats a date for use inside a file name (no colons or dots)
+ * @param {Date} date - Date to format
+ * @param {string} format - 'iso', 'date', 'unix' or 'readable'
+ * @returns {string} - File name safe timestamp
+ */
+function formatTimestamp(date, format = 'iso') {
+  switch (format) {
+    case 'date':
+      return date.toISOString().slice(0, 10);
+    case 'unix':
+      return Math.floor(date.getTime() / 1000).toString();
+    case 'readable':
+      return `${MONTHS[date.getUTCMonth()]}-${String(date.getUTCDate()).padStart(2, '0')}-${date.getUTCFullYear()}`;
+    case 'iso':
+    default:
+      return date.toISOString().replace(/\.\d{3}/, '').replace(/:/g, '-');
+  }
+}
+
+/**
+ * Checks a custom naming rule
+ * @param {Object} rule - Rule with pattern, replacement and applyTo
+ * @returns {string|null} - Error message, or null when the rule is usable
+ */
+function validateNamingRule(rule) {
+  if (!rule?.pattern) {
+    return 'Pattern is required';
+  }
+  try {
+    new RegExp(rule.pattern, 'g');
+    return null;
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+}
+
+/**
+ * Checks the shape of a naming configuration received from outside the UI,
+ * such as the naming parameter of the API; missing options keep their defaults
+ * @param {Object} config - Naming configuration (see DEFAULT_NAMING_CONFIG)
+ * @returns {string|null} - Error message, or null when the configuration is usable
+ */
+function validateNamingConfig(config) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    return 'Naming must be an object';
+  }
+  const invalidOption = Object.keys(OPTION_TYPES)
+    .find(option => config[option] !== undefined && typeof config[option] !== OPTION_TYPES[option]);
+  if (invalidOption) {
+    return `${invalidOption} must be a ${OPTION_TYPES[invalidOption]}`;
+  }
+  if (config.customRules === undefined) {
+    return null;
+  }
+  if (!Array.isArray(config.customRules)) {
+    return 'customRules must be an array';
+  }
+  const ruleError = config.customRules.map(rule => {
+    if (typeof rule !== 'object' || rule === null) return 'Rule must be an object';
+    if (rule.replacement !== undefined && typeof rule.replacement !== 'string') return 'Replacement must be a string';
+    return validateNamingRule(rule);
+  }).find(Boolean);
+  return ruleError ? `Custom rule: ${ruleError}` : null;
+}
+
+export { DEFAULT_NAMING_CONFIG, applyNamingConfig, formatIndex, formatTimestamp, validateNamingRule, validateNamingConfig };
@@ -0,0 +1,128 @@
+/* EXPORTS: KNOWN_EXTENSIONS, EXTENSION_POLICIES, getSmartFileExtension, splitDeclaredExtension, isCompatibleExtension */
+
+/**
+ * Extensions recognised when a key already names its file type (e.g. "Button.js")
+ */
+const KNOWN_EXTENSIONS = new Set([
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte',
+  '.json', '.jsonc', '.json5', '.map',
+  '.html', '.htm', '.xml', '.svg',
+  '.css', '.scss', '.sass', '.less',
+  '.md', '.markdown', '.mdx', '.txt', '.log', '.csv', '.tsv',
+  '.yml', '.yaml', '.toml', '.ini', '.env', '.conf', '.cfg', '.lock',
+  '.sh', '.bash', '.zsh', '.ps1', '.bat',
+  '.py', '.rb', '.go', '.rs', '.java', '.kt', '.swift', '.c', '.h', '.cpp', '.hpp', '.cs', '.php', '.sql',
+  '.graphql', '.gql', '.prisma', '.dockerfile',
+  '.ico', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.avif', '.pdf',
+  '.bin', '.wasm', '.zip', '.gz', '.tgz', '.tar', '.woff', '.woff2', '.ttf', '.otf', '.eot',
+  '.jar', '.docx', '.xlsx', '.pptx', '.epub', '.apk',
+  '.mp3', '.mp4', '.wav', '.ogg', '.webm'
+]);
+
+/**
+ * How a declared extension on a key is combined with the sniffed one:
+ * keep the declared one, replace it with the sniffed one, or append the sniffed one
+ */
+const EXTENSION_POLICIES = ['keep', 'replace', 'append'];
+
+// Sniffed extensions that are acceptable for a declared extension
+const COMPATIBLE_EXTENSIONS = {
+  '.js': ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte'],
+  '.json': ['.json', '.jsonc', '.json5', '.map', '.lock', '.yml', '.yaml'],
+  '.html': ['.html', '.htm', '.xml', '.svg', '.vue', '.svelte', '.jsx', '.tsx'],
+  // Brace-delimited source without JavaScript keywords also sniffs as CSS
+  '.css': ['.css', '.scss', '.sass', '.less', '.ts', '.tsx', '.java', '.kt', '.swift',
+    '.c', '.h', '.cpp', '.hpp', '.cs', '.go', '.rs', '.php', '.graphql', '.gql', '.prisma'],
+  '.jpg': ['.jpg', '.jpeg'],
+  // Office documents, Java archives and e-books are ZIP containers
+  '.zip': ['.zip', '.jar', '.docx', '.xlsx', '.pptx', '.epub', '.apk'],
+  // "#" also starts comments in shell, Python, YAML and config files
+  '.md': ['.md', '.markdown', '.mdx', '.txt', '.sh', '.bash', '.zsh', '.py', '.rb',
+    '.yml', '.yaml', '.toml', '.ini', '.conf', '.cfg', '.env', '.dockerfile']
+};
+
+/**
+ * Smart file extension detection based on content
+ * @param {any} value - The value to analyze
+ * @returns {string} - Appropriate file extension
+ */
+function getSmartFileExtension(value) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+
+    // Check for JSON first - serialized JSON also matches the CSS heuristic
+    try {
+      JSON.parse(value);
+      return '.json';
+    } catch {
+      // Not JSON, check for other formats
+    }
+
+    // Check for HTML
+    if (trimmed.startsWith('<') && trimmed.endsWith('>')) {
+      return '.html';
+    }
+
+    // Check for JavaScript before CSS - object literals also contain braces and colons
+    if (trimmed.includes('function') || trimmed.includes('=>') ||
+        trimmed.includes('const ') || trimmed.includes('let ') ||
+        trimmed.includes('var ') || trimmed.includes('import ')) {
+      return '.js';
+    }
+
+    // Check for CSS
+    if (trimmed.includes('{') && trimmed.includes('}') && trimmed.includes(':')) {
+      return '.css';
+    }
+
+    // Check for Markdown
+    if (trimmed.includes('#') || trimmed.includes('**') || trimmed.includes('##')) {
+      return '.md';
+    }
+
+    // Default to .txt for strings
+    return '.txt';
+  }
+
+  // Non-strings default to .json
+  return '.json';
+}
+
+/**
+ * Splits a key into base name and declared extension when it ends in a known one.
+ * Dotfiles such as ".env" or ".gitignore" are returned whole as the extension.
+ * @param {string} key - Original JSON key
+ * @returns {Object} - { baseName, extension } with extension '' when none is declared
+ */
+function splitDeclaredExtension(key) {
+  const dotIndex = key.lastIndexOf('.');
+
+  if (dotIndex === 0) {
+    return { baseName: '', extension: key };
+  }
+
+  if (dotIndex > 0 && KNOWN_EXTENSIONS.has(key.slice(dotIndex).toLowerCase())) {
+    return { baseName: key.slice(0, dotIndex), extension: key.slice(dotIndex) };
+  }
+
+  return { baseName: key, extension: '' };
+}
+
+/**
+ * Checks whether a declared extension agrees with the sniffed one
+ * @param {string} declared - Extension from the key
+ * @param {string} detected - Extension from getSmartFileExtension
+ * @returns {boolean} - False when the content looks like a different type
+ */
+function isCompatibleExtension(declared, detected) {
+  const declaredLower = declared.toLowerCase();
+
+  // Plain text and raw binary are fallbacks and carry no type information
+  if (detected === '.txt' || detected === '.bin' || declaredLower === detected) {
+    return true;
+  }
+
+  return (COMPATIBLE_EXTENSIONS[detected] || []).includes(declaredLower);
+}
+
+export { KNOWN_EXTENSIONS, EXTENSION_POLICIES, getSmartFileExtension, splitDeclaredExtension, isCompatibleExtension };
@@ -0,0 +1,183 @@
+/* EXPORTS: DEFAULT_IGNORE_PATTERNS, parseIgnoreList, collectDroppedFiles, collectInputFiles, readFilesToJson, describeFolderStatus */
+
+import { BASE64_MARKER, encodeBase64, decodeUtf8Text } from './binaryContent';
+import { globToRegExp } from './compressionPolicy';
+
+/**
+ * Folders and files left out of a dropped project unless the ignore list is changed
+ */
+const DEFAULT_IGNORE_PATTERNS = ['node_modules', '.git', '.DS_Store', 'Thumbs.db', '__MACOSX'];
+
+// Larger files are skipped, as their base64 would not fit an editable structure
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Splits an ignore list typed as comma- or line-separated globs
+ * @param {string} text - Ignore list such as "node_modules, *.log"
+ * @returns {Array<string>} - Non-empty patterns
+ */
+function parseIgnoreList(text) {
+  return text.split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// Like compression overrides, patterns with a "/" match the relative path and others any single name in it
+function createIgnoreMatcher(patterns) {
+  const matchers = patterns.map(pattern => ({
+    byPath: pattern.replace(/\/$/, '').includes('/'),
+    regExp: globToRegExp(pattern.replace(/^\/|\/$/g, ''))
+  }));
+  return path => matchers.some(({ byPath, regExp }) =>
+    byPath ? regExp.test(path) : path.split('/').some(name => regExp.test(name))
+  );
+}
+
+/**
+ * Lists the files of a drop, walking dropped folders through their
+ * directory entries. Ignored folders are not walked at all.
+ * @param {DataTransfer} dataTransfer - DataTransfer of the drop event
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.ignore - Globs to leave out (see DEFAULT_IGNORE_PATTERNS)
+ * @returns {Promise<Object>} - { files, ignored } with files as { path, file } and ignored paths;
+ *   empty folders are listed as { path: 'folder/', file: null }
+ */
+async function collectDroppedFiles(dataTransfer, options = {}) {
+  const isIgnored = createIgnoreMatcher(options.ignore ?? DEFAULT_IGNORE_PATTERNS);
+  const files = [];
+  const ignored = [];
+
+  // Entries must be taken before the first await, while the DataTransfer is still readable
+  const entries = [...(dataTransfer.items || [])]
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.() || item.getAsFile());
+
+  async function walk(entry, parentPath) {
+    const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+    if (isIgnored(path)) {
+      ignored.push(path);
+      return;
+    }
+    if (entry instanceof File) {
+      files.push({ path, file: entry });
+    } else if (entry.isFile) {
+      files.push({ path, file: await new Promise((resolve, reject) => entry.file(resolve, reject)) });
+    } else if (entry.isDirectory) {
+      const children = await readDirectoryEntries(entry);
+      if (children.length === 0) {
+        files.push({ path: `${path}/`, file: null });
+      }
+      for (const child of children) {
+        await walk(child, path);
+      }
+    }
+  }
+
+  for (const entry of entries.filter(Boolean)) {
+    await walk(entry, '');
+  }
+  return { files, ignored };
+}
+
+// readEntries returns folders in batches, and an empty batch at the end
+async function readDirectoryEntries(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return entries;
+    entries.push(...batch);
+  }
+}
+
+/**
+ * Lists the files chosen with a file input, using the relative paths given
+ * by inputs with the webkitdirectory attribute
+ * @param {FileList} fileList - Files of the input
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.ignore - Globs to leave out (see DEFAULT_IGNORE_PATTERNS)
+ * @returns {Object} - { files, ignored } like collectDroppedFiles
+ */
+function collectInputFiles(fileList, options = {}) {
+  const isIgnored = createIgnoreMatcher(options.ignore ?? DEFAULT_IGNORE_PATTERNS);
+  const files = [];
+  const ignored = [];
+
+  [...fileList].forEach(file => {
+    const path = file.webkitRelativePath || file.name;
+    if (isIgnored(path)) {
+      ignored.push(path);
+    } else {
+      files.push({ path, file });
+    }
+  });
+  return { files, ignored };
+}
+
+/**
+ * Builds the JSON structure that regenerates a set of files: folders become
+ * objects, UTF-8 files strings and other files "base64:" strings, as
+ * readZipToJson does for archives. When everything sits in one folder, that
+ * folder is returned as the root name rather than as a key.
+ * @param {Array<Object>} files - { path, file } from collectDroppedFiles or collectInputFiles
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxFileSize - Files above this many bytes are skipped (5 MB by default)
+ * @param {Function} options.onProgress - Receives { read, total, path } as files are read
+ * @returns {Promise<Object>} - { data, rootName, skipped } where skipped are { path, reason }
+ */
+async function readFilesToJson(files, options = {}) {
+  const maxFileSize = options.maxFileSize ?? MAX_FILE_SIZE;
+  const topLevel = new Set(files.map(({ path }) => path.split('/')[0]));
+  const rootName = topLevel.size === 1 && files.every(({ path }) => path.includes('/')) ? [...topLevel][0] : '';
+  const data = {};
+  const skipped = [];
+
+  for (const [index, { path, file }] of files.entries()) {
+    options.onProgress?.({ read: index, total: files.length, path });
+    if (file && file.size > maxFileSize) {
+      skipped.push({ path, reason: `larger than ${Math.round(maxFileSize / 1024 / 1024)} MB` });
+      continue;
+    }
+
+    const segments = (rootName ? path.slice(rootName.length + 1) : path).split('/');
+    // Names such as "__proto__" are created as own properties rather than reaching the prototype
+    const parent = segments.slice(0, -1).filter(Boolean).reduce((folder, segment) => {
+      if (!Object.prototype.hasOwnProperty.call(folder, segment) || typeof folder[segment] !== 'object') {
+        setOwn(folder, segment, {});
+      }
+      return folder[segment];
+    }, data);
+    // Empty folders only need to exist
+    if (!file) continue;
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const text = decodeUtf8Text(bytes);
+    setOwn(parent, segments[segments.length - 1], text === null ? `${BASE64_MARKER}${encodeBase64(bytes)}` : text);
+  }
+
+  options.onProgress?.({ read: files.length, total: files.length, path: null });
+  return { data, rootName, skipped };
+}
+
+function setOwn(folder, name, value) {
+  Object.defineProperty(folder, name, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Describes the progress or outcome of reading files into JSON, for the line shown below the editor
+ * @param {Object} status - { error }, { reading, read, total } or { files, rootName, ignored, skipped }
+ * @returns {string} - Status line
+ */
+function describeFolderStatus(status) {
+  if (status.error) return status.error;
+  if (status.reading) return `Reading ${status.read} of ${status.total} files...`;
+
+  const parts = [`Read ${status.files} file${status.files === 1 ? '' : 's'}${status.rootName ? ` from ${status.rootName}` : ''}`];
+  if (status.ignored > 0) {
+    parts.push(`${status.ignored} ignored`);
+  }
+  if (status.skipped.length > 0) {
+    parts.push(`skipped ${status.skipped.map(file => `${file.path} (${file.reason})`).join(', ')}`);
+  }
+  return parts.join(', ');
+}
+
+export { DEFAULT_IGNORE_PATTERNS, parseIgnoreList, collectDroppedFiles, collectInputFiles, readFilesToJson, describeFolderStatus };
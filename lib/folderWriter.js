@@ -0,0 +1,178 @@
+/* EXPORTS: CONFLICT_POLICIES, isFolderWriteSupported, pickOutputFolder, planFolderWrite, writePlanToFolder */
+
+import { getEntryBytes } from './checksums';
+
+/**
+ * What happens to files already in the chosen folder, keyed by the value of the "policy" option
+ */
+const CONFLICT_POLICIES = {
+  merge: { label: 'Merge', description: 'Replace files that differ and keep the other files already there' },
+  skip: { label: 'Skip existing', description: 'Only write files that do not exist yet' },
+  overwrite: { label: 'Overwrite', description: 'Replace the output folder, deleting files that are not in the structure' }
+};
+
+/**
+ * Checks for the File System Access API (Chromium browsers); elsewhere the archive is downloaded instead
+ * @returns {boolean} - True when a folder can be picked and written
+ */
+function isFolderWriteSupported() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Asks the user for a folder to write to
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - Writable folder, or null when the picker was dismissed
+ */
+async function pickOutputFolder() {
+  try {
+    return await window.showDirectoryPicker({ id: 'json-to-zip-output', mode: 'readwrite' });
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  }
+}
+
+/**
+ * Compares a build plan with what the folder already holds, without
+ * changing anything: the dry run shown before writing. With the overwrite
+ * policy, files and folders inside the plan's root folder that the plan does
+ * not contain are listed for deletion; the chosen folder itself is only
+ * cleaned when the plan has no root folder.
+ * @param {FileSystemDirectoryHandle} directory - Chosen folder
+ * @param {Object} plan - Plan returned by createBuildPlan
+ * @param {string} policy - Key of CONFLICT_POLICIES
+ * @returns {Promise<Object>} - { changes, counts } with changes as { path, type, action } where action is
+ *   'create', 'replace', 'skip', 'unchanged' or 'delete', and counts the number of changes per action
+ */
+async function planFolderWrite(directory, plan, policy = 'merge') {
+  if (!CONFLICT_POLICIES[policy]) {
+    throw new Error(`Unsupported conflict policy "${policy}" (expected ${Object.keys(CONFLICT_POLICIES).join(', ')})`);
+  }
+
+  const changes = [];
+  const planned = new Set();
+
+  for (const entry of plan.entries) {
+    planned.add(entry.path);
+    const existing = await getExistingHandle(directory, entry.path);
+
+    if (entry.type === 'folder') {
+      if (!existing) {
+        changes.push({ path: entry.path, type: 'folder', action: 'create' });
+      } else if (existing.kind === 'file') {
+        throw new Error(`"${entry.path}" is a file in the chosen folder, but the structure needs a folder there`);
+      }
+      continue;
+    }
+
+    if (!existing) {
+      changes.push({ path: entry.path, type: 'file', action: 'create' });
+    } else if (existing.kind === 'directory') {
+      throw new Error(`"${entry.path}" is a folder in the chosen folder, but the structure needs a file there`);
+    } else if (policy === 'skip') {
+      changes.push({ path: entry.path, type: 'file', action: 'skip' });
+    } else {
+      const same = await hasSameContent(existing, getEntryBytes(entry));
+      changes.push({ path: entry.path, type: 'file', action: same ? 'unchanged' : 'replace' });
+    }
+  }
+
+  if (policy === 'overwrite') {
+    const root = plan.rootName ? await getExistingHandle(directory, plan.rootName) : directory;
+    if (root) {
+      await listUnplanned(root, plan.rootName, planned, changes);
+    }
+  }
+
+  const counts = changes.reduce((total, change) => ({ ...total, [change.action]: (total[change.action] || 0) + 1 }), {});
+  return { changes, counts };
+}
+
+/**
+ * Applies a dry run from planFolderWrite: folders and files are created,
+ * replaced or deleted as listed. File attributes such as $mode and $mtime
+ * cannot be set through the File System Access API and are left out.
+ * @param {FileSystemDirectoryHandle} directory - Chosen folder
+ * @param {Object} plan - The plan the dry run was made for
+ * @param {Array<Object>} changes - Changes returned by planFolderWrite
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onProgress - Receives { percent, currentFile } as changes are applied
+ * @param {AbortSignal} options.signal - Stops before the next change; the promise then rejects with an AbortError
+ * @returns {Promise<number>} - Number of files and folders changed
+ */
+async function writePlanToFolder(directory, plan, changes, options = {}) {
+  const entries = new Map(plan.entries.map(entry => [entry.path, entry]));
+  const pending = changes.filter(change => change.action === 'create' || change.action === 'replace' || change.action === 'delete');
+
+  for (const [index, change] of pending.entries()) {
+    if (options.signal?.aborted) {
+      throw new DOMException('Writing to the folder was cancelled', 'AbortError');
+    }
+    options.onProgress?.({ percent: (index / pending.length) * 100, currentFile: change.path });
+
+    const segments = change.path.split('/');
+    const name = segments.pop();
+    const parent = await getFolderHandle(directory, segments, true);
+
+    if (change.action === 'delete') {
+      await parent.removeEntry(name, { recursive: true });
+    } else if (change.type === 'folder') {
+      await parent.getDirectoryHandle(name, { create: true });
+    } else {
+      const fileHandle = await parent.getFileHandle(name, { create: true });
+      const writable = await fileHandle.createWritable();
+      await writable.write(getEntryBytes(entries.get(change.path)));
+      await writable.close();
+    }
+  }
+
+  options.onProgress?.({ percent: 100, currentFile: null });
+  return pending.length;
+}
+
+async function getFolderHandle(directory, segments, create = false) {
+  let handle = directory;
+  for (const segment of segments) {
+    handle = await handle.getDirectoryHandle(segment, { create });
+  }
+  return handle;
+}
+
+// The file or folder at a path, or null when nothing is there yet
+async function getExistingHandle(directory, path) {
+  const segments = path.split('/');
+  const name = segments.pop();
+  try {
+    const parent = await getFolderHandle(directory, segments);
+    try {
+      return await parent.getFileHandle(name);
+    } catch (error) {
+      if (error.name !== 'TypeMismatchError') throw error;
+      return await parent.getDirectoryHandle(name);
+    }
+  } catch (error) {
+    if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') return null;
+    throw error;
+  }
+}
+
+async function hasSameContent(fileHandle, bytes) {
+  const file = await fileHandle.getFile();
+  if (file.size !== bytes.length) return false;
+  const existing = new Uint8Array(await file.arrayBuffer());
+  return existing.every((byte, index) => byte === bytes[index]);
+}
+
+// Lists what is in a folder but not in the plan; unplanned folders are deleted as a whole
+async function listUnplanned(folder, folderPath, planned, changes) {
+  for await (const [name, handle] of folder.entries()) {
+    const path = folderPath ? `${folderPath}/${name}` : name;
+    if (!planned.has(path)) {
+      changes.push({ path, type: handle.kind === 'directory' ? 'folder' : 'file', action: 'delete' });
+    } else if (handle.kind === 'directory') {
+      await listUnplanned(handle, path, planned, changes);
+    }
+  }
+}
+
+export { CONFLICT_POLICIES, isFolderWriteSupported, pickOutputFolder, planFolderWrite, writePlanToFolder };
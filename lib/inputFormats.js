@@ -0,0 +1,194 @@
+/* EXPORTS: INPUT_FORMATS, isJsonFormat, detectInputFormat, getFormatForFileName, parseInputText, parseStructuredInput */
+
+import { load, CORE_SCHEMA } from 'js-yaml';
+import { JSON_DIALECTS, parseJsonText, parseJsonInput, formatErrorSnippet } from './jsonParser';
+import { parseToml } from './tomlParser';
+import { readMarkdownFiles } from './markdownImport';
+import { isDirectoryListing, readDirectoryListing } from './listingImport';
+
+/**
+ * Formats a structure definition can be written in: the JSON dialects, YAML,
+ * TOML, Markdown whose fenced code blocks are files (see readMarkdownFiles)
+ * and directory listings giving a skeleton of empty files (see
+ * readDirectoryListing). Functions taking a format also accept 'auto' (see
+ * detectInputFormat).
+ */
+const INPUT_FORMATS = {
+  ...JSON_DIALECTS,
+  yaml: { label: 'YAML', description: 'YAML 1.2 (dates are kept as strings)' },
+  toml: { label: 'TOML', description: 'TOML 1.0 (dates are kept as strings)' },
+  markdown: { label: 'Markdown', description: 'Fenced code blocks named by a heading or title="path"' },
+  listing: { label: 'Directory listing', description: 'Output of tree, find or ls -R, as a skeleton of files and folders' }
+};
+
+const FILE_EXTENSIONS = {
+  '.jsonc': 'jsonc',
+  '.json5': 'json5',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+  '.md': 'markdown',
+  '.markdown': 'markdown'
+};
+
+// "[table]" or "[[array.of.tables]]" on a line of its own
+const TOML_HEADER = /^\[\[?\s*[\w."' -]+\]\]?\s*(#.*)?$/;
+const TOML_KEY_VALUE = /^[\w."'-]+\s*=/;
+const MARKDOWN_FENCE = /^ {0,3}(```|~~~)/m;
+// Detection runs on every keystroke, so only the start of the text is looked at
+const DETECT_LENGTH = 20000;
+
+/**
+ * Checks whether a format is read by the JSON tokenizer, and so can be streamed
+ * @param {string} format - Input format or 'auto'
+ * @returns {boolean} - True for 'auto' and the JSON dialects
+ */
+function isJsonFormat(format) {
+  return format === 'auto' || Object.prototype.hasOwnProperty.call(JSON_DIALECTS, format);
+}
+
+/**
+ * Guesses the format of a structure definition from its first lines: "{" or
+ * "[" start JSON (unless they form a TOML table header), fenced code blocks
+ * mean Markdown, tree branches or find and ls -R paths a directory listing,
+ * "key = value" is TOML and anything else is read as YAML
+ * @param {string} text - Pasted or loaded text
+ * @returns {string} - 'auto' for the JSON family (the dialect is found while parsing), 'yaml', 'toml',
+ *   'markdown' or 'listing'
+ */
+function detectInputFormat(text) {
+  const start = text.slice(0, DETECT_LENGTH).replace(/^\ufeff/, '');
+  if (!/^\s*[{[]/.test(start) && MARKDOWN_FENCE.test(start)) return 'markdown';
+  if (isDirectoryListing(start)) return 'listing';
+
+  const lines = start.split('\n', 200)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('//'));
+  const first = lines[0] || '';
+
+  if (TOML_HEADER.test(first) && lines.some(line => TOML_KEY_VALUE.test(line))) return 'toml';
+  if (first.startsWith('{') || first.startsWith('[') || first.startsWith('/*')) return 'auto';
+  if (TOML_KEY_VALUE.test(first)) return 'toml';
+  return 'yaml';
+}
+
+/**
+ * Looks up the format of a file from its extension
+ * @param {string} fileName - File name
+ * @returns {string|null} - Format, or null when the extension does not tell (plain .json included,
+ *   as such files are often JSONC)
+ */
+function getFormatForFileName(fileName) {
+  const match = /\.[^.]+$/.exec(fileName.toLowerCase());
+  return (match && FILE_EXTENSIONS[match[0]]) || null;
+}
+
+/**
+ * Parses YAML with the core schema, so values are JSON types (plus Infinity
+ * and NaN) and timestamps stay strings
+ * @param {string} text - YAML document
+ * @returns {any} - Parsed value; throws a SyntaxError with line and column properties on invalid YAML
+ */
+function parseYaml(text) {
+  try {
+    return load(text, { schema: CORE_SCHEMA });
+  } catch (error) {
+    if (error.name !== 'YAMLException') throw error;
+    const line = (error.mark?.line ?? 0) + 1;
+    const column = (error.mark?.column ?? 0) + 1;
+    const syntaxError = new SyntaxError(`${error.reason} at line ${line}, column ${column}`);
+    syntaxError.line = line;
+    syntaxError.column = column;
+    throw syntaxError;
+  }
+}
+
+/**
+ * Parses a structure definition in any input format
+ * @param {string} text - Definition text
+ * @param {string} format - Key of INPUT_FORMATS or 'auto'
+ * @param {Object} options - Configuration options
+ * @param {string} options.listingContent - Content of the files of a directory listing (see LISTING_CONTENT)
+ * @returns {Object} - { data, format } where format is the one the text was read as; throws a
+ *   SyntaxError with line and column properties on invalid input
+ */
+function parseInputText(text, format = 'auto', options = {}) {
+  const resolved = format === 'auto' ? detectInputFormat(text) : format;
+  if (resolved === 'yaml') return { data: parseYaml(text), format: 'yaml' };
+  if (resolved === 'toml') return { data: parseToml(text), format: 'toml' };
+  if (resolved === 'markdown') return { data: readMarkdownFiles(text).data, format: 'markdown' };
+  if (resolved === 'listing') {
+    return { data: readDirectoryListing(text, { content: options.listingContent }).data, format: 'listing' };
+  }
+
+  const { data, dialect } = parseJsonText(text, resolved);
+  return { data, format: dialect };
+}
+
+/**
+ * Counterpart of parseJsonInput for every input format
+ * @param {string} text - Definition text
+ * @param {Object} options - Configuration options
+ * @param {string} options.format - Key of INPUT_FORMATS or 'auto' (default)
+ * @param {string} options.listingContent - Content of the files of a directory listing (see LISTING_CONTENT)
+ * @returns {Object} - { success, error, errors, repair, data, format } like parseJsonInput, where
+ *   format is the one the text was read as (or would have been, when it is invalid); Markdown
+ *   adds warnings ({ line, message }) for the code blocks that were skipped
+ */
+function parseStructuredInput(text, options = {}) {
+  const requested = options.format || 'auto';
+  const format = requested === 'auto' ? detectInputFormat(text) : requested;
+
+  if (isJsonFormat(format)) {
+    const result = parseJsonInput(text, { dialect: format });
+    return { ...result, format: result.dialect || (format === 'auto' ? 'json' : format) };
+  }
+
+  if (format === 'markdown') {
+    const { data, files, skipped } = readMarkdownFiles(text);
+    const warnings = skipped.map(({ line, reason }) => ({ line, message: reason }));
+    return files.length > 0
+      ? { success: true, error: null, data, format, warnings }
+      : { success: false, error: 'No code blocks with a file name were found in the Markdown', errors: [], data: null, format, warnings };
+  }
+
+  if (format === 'listing') {
+    const { data, files, folders } = readDirectoryListing(text, { content: options.listingContent });
+    return files + folders > 0
+      ? { success: true, error: null, data, format }
+      : { success: false, error: 'No files or folders were found in the listing', errors: [], data: null, format };
+  }
+
+  try {
+    const { data } = parseInputText(text, format);
+    if (data === null || data === undefined || typeof data !== 'object') {
+      return {
+        success: false,
+        error: `The ${INPUT_FORMATS[format].label} document must be a mapping or a list`,
+        errors: [],
+        data: null,
+        format
+      };
+    }
+    return { success: true, error: null, data, format };
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    const message = error.message.replace(/ at line \d+, column \d+$/, '');
+    const offsets = text.split('\n').slice(0, error.line - 1).reduce((total, line) => total + line.length + 1, 0);
+    return {
+      success: false,
+      error: `Invalid ${INPUT_FORMATS[format].label}: ${error.message}`,
+      errors: [{
+        message,
+        line: error.line,
+        column: error.column,
+        offset: Math.min(offsets + error.column - 1, text.length),
+        snippet: formatErrorSnippet(text, error.line, error.column)
+      }],
+      data: null,
+      format
+    };
+  }
+}
+
+export { INPUT_FORMATS, isJsonFormat, detectInputFormat, getFormatForFileName, parseInputText, parseStructuredInput };
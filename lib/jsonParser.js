@@ -1,11 +1,22 @@
-/* EXPORTS: parseJsonInput, generateTreeStructure, validateJsonStructure, TreeNode, flattenTreeToFiles, getTreeStatistics, parseJsonStructure */
+/* EXPORTS: parseJsonInput, generateTreeStructure, validateJsonStructure, TreeNode, flattenTreeToFiles, getTreeStatistics, parseJsonStructure, JSON_DIALECTS, parseJsonText, createJsonTokenizer, findJsonErrors, formatErrorSnippet, readJsonStream */
+
+import { createBuildPlan, buildTreeFromPlan, getByteLength } from './buildPlan';
+import { DIRECTIVE_KEYS, isFileDirective, parseFileDirective } from './fileDirectives';
+import { BASE64_MARKER, parseBinaryString } from './binaryContent';
+import { summarizeCompression } from './compressionPolicy';
+import { repairJson } from './jsonRepair';
 
 /**
  * Parses JSON input and validates structure
  * @param {string} jsonString - Raw JSON string input
- * @returns {Object} - Parsed JSON object with validation results
+ * @param {Object} options - Configuration options
+ * @param {string} options.dialect - 'json', 'jsonc', 'json5' or 'auto' (default), see JSON_DIALECTS
+ * @returns {Object} - Parsed JSON object with validation results and the dialect it was read as;
+ *   errors lists every syntax error found (see findJsonErrors) when parsing fails, and repair
+ *   proposes a fixed version of the input when one can be found (see repairJson)
  */
-function parseJsonInput(jsonString) {
+function parseJsonInput(jsonString, options = {}) {
+  const { dialect = 'auto' } = options;
   try {
     if (!jsonString || jsonString.trim() === '') {
       return {
@@ -15,7 +26,7 @@ function parseJsonInput(jsonString) {
       };
     }
 
-    const parsed = JSON.parse(jsonString);
+    const { data: parsed, dialect: detected } = parseJsonText(jsonString, dialect);
     
     if (parsed === null || parsed === undefined) {
       return {
@@ -28,12 +39,18 @@ function parseJsonInput(jsonString) {
     return {
       success: true,
       error: null,
-      data: parsed
+      data: parsed,
+      dialect: detected
     };
   } catch (error) {
+    // JSON.parse only gives a position in some engines, so the errors are located again
+    const errors = findJsonErrors(jsonString, { dialect });
+    const first = errors[0];
     return {
       success: false,
-      error: `Invalid JSON: ${error.message}`,
+      error: first ? `Invalid JSON: ${first.message} at line ${first.line}, column ${first.column}` : `Invalid JSON: ${error.message}`,
+      errors,
+      repair: repairJson(jsonString),
       data: null
     };
   }
@@ -79,15 +96,51 @@ function validateJsonStructure(jsonData) {
           warnings.push(`Reserved system name "${key}" at path "${currentPath}"`);
         }
 
+        // Directive keys only have a meaning inside a file object
+        if (key.startsWith('$')) {
+          warnings.push(DIRECTIVE_KEYS.includes(key)
+            ? `Directive "${key}" at path "${currentPath}" is ignored without "$content"`
+            : `Unknown directive "${key}" at path "${currentPath}"`);
+        }
+
+        // File objects are validated as a whole instead of as folders
+        if (isFileDirective(obj[key])) {
+          validateDirective(obj[key], currentPath);
+          return;
+        }
+
+        // Binary strings that fail to decode are written as plain text
+        const value = obj[key];
+        if (typeof value === 'string' && (value.startsWith('data:') || value.startsWith(BASE64_MARKER)) &&
+            !parseBinaryString(value)) {
+          warnings.push(`Malformed data URI or base64 content at path "${currentPath}" will be written as text`);
+        }
+
         // Recursively validate nested objects
-        if (typeof obj[key] === 'object' && obj[key] !== null) {
-          validateKeys(obj[key], currentPath);
+        if (typeof value === 'object' && value !== null) {
+          validateKeys(value, currentPath);
         }
       });
     }
   }
 
-  if (typeof jsonData === 'object' && jsonData !== null) {
+  // Validate { "$content": ... } file objects
+  function validateDirective(value, path) {
+    const directive = parseFileDirective(value);
+    directive.errors.forEach(message => {
+      errors.push(`${message} at path "${path}"`);
+    });
+    directive.unknownKeys.forEach(key => {
+      warnings.push(`Unknown directive "${key}" at path "${path}"`);
+    });
+    directive.ignoredKeys.forEach(key => {
+      warnings.push(`Key "${key}" is ignored inside file object at path "${path}"`);
+    });
+  }
+
+  if (isFileDirective(jsonData)) {
+    validateDirective(jsonData, '');
+  } else if (typeof jsonData === 'object' && jsonData !== null) {
     validateKeys(jsonData);
   }
 
@@ -103,13 +156,14 @@ function validateJsonStructure(jsonData) {
  * Tree node structure for file explorer display
  */
 class TreeNode {
-  constructor(name, type, value = null, children = []) {
+  constructor(name, type, value = null, children = [], path = name) {
     this.name = name;
     this.type = type; // 'file' or 'folder'
     this.value = value;
     this.children = children;
     this.isExpanded = true;
-    this.id = Math.random().toString(36).substring(2, 9);
+    // Ids follow the path so identical input always yields identical trees
+    this.id = path;
   }
 
   addChild(child) {
@@ -131,120 +185,51 @@ class TreeNode {
  * Generates tree structure from JSON data for preview
  * @param {any} jsonData - Parsed JSON data
  * @param {string} rootName - Name for root node
+ * @param {Object} options - Build plan options (see createBuildPlan)
  * @returns {TreeNode} - Tree structure for display
  */
-function generateTreeStructure(jsonData, rootName = 'root') {
-  function createTreeNode(data, name, parentPath = '') {
-    const currentPath = parentPath ? `${parentPath}/${name}` : name;
-    
-    if (data === null || data === undefined) {
-      return new TreeNode(name, 'file', 'null');
-    }
-
-    if (typeof data === 'object' && !Array.isArray(data)) {
-      const folderNode = new TreeNode(name, 'folder');
-      
-      Object.entries(data).forEach(([key, value]) => {
-        const childNode = createTreeNode(value, key, currentPath);
-        folderNode.addChild(childNode);
-      });
-      
-      return folderNode;
-    }
+function generateTreeStructure(jsonData, rootName = 'root', options = {}) {
+  const plan = createBuildPlan(jsonData, {
+    createReadme: false,
+    includeMetadata: false,
+    ...options,
+    rootName
+  });
 
-    if (Array.isArray(data)) {
-      const folderNode = new TreeNode(name, 'folder');
-      
-      data.forEach((item, index) => {
-        const itemName = `item_${index}`;
-        const childNode = createTreeNode(item, itemName, currentPath);
-        folderNode.addChild(childNode);
-      });
-      
-      return folderNode;
+  function createTreeNode(node) {
+    if (node.type === 'file') {
+      return new TreeNode(node.name, 'file', node.content, [], node.path);
     }
-
-    // Primitive values become files
-    const fileExtension = getFileExtension(data);
-    const fileName = `${name}${fileExtension}`;
-    return new TreeNode(fileName, 'file', data);
+    return new TreeNode(node.name, 'folder', null, node.children.map(createTreeNode), node.path);
   }
 
-  return createTreeNode(jsonData, rootName);
+  return createTreeNode(buildTreeFromPlan(plan));
 }
 
 /**
  * Main function that matches the interface expected by index.js
- * Parses JSON and returns structure compatible with the UI
+ * Plans the output and returns structure compatible with the UI
  * @param {any} jsonData - Already parsed JSON data
- * @returns {Object} - Structure with tree and stats for UI display
+ * @param {Object} options - Build plan options (see createBuildPlan)
+ * @returns {Object} - Structure with tree, stats, plan warnings, estimated compressed sizes and the build plan used for download
  */
-function parseJsonStructure(jsonData) {
-  // Generate the tree structure
-  const tree = generateTreeStructure(jsonData, 'root');
-  
-  // Get statistics
-  const stats = getTreeStatistics(tree);
-  
-  // Convert TreeNode structure to the format expected by the UI
-  function convertTreeNodeToUIFormat(node) {
-    return {
-      name: node.name,
-      path: node.name,
-      type: node.type,
-      size: node.type === 'file' ? String(node.value || '').length : undefined,
-      children: node.children.map(child => convertTreeNodeToUIFormat(child))
-    };
-  }
-  
+function parseJsonStructure(jsonData, options = {}) {
+  // The same plan is later handed to the ZIP writer
+  const plan = createBuildPlan(jsonData, { rootName: 'project', ...options });
+
   return {
-    tree: convertTreeNodeToUIFormat(tree),
+    tree: buildTreeFromPlan(plan),
+    compressionSummary: summarizeCompression(plan),
     stats: {
-      totalFiles: stats.totalFiles,
-      totalFolders: stats.totalFolders
-    }
+      totalFiles: plan.stats.totalFiles,
+      totalFolders: plan.stats.totalFolders
+    },
+    extensionMismatches: plan.extensionMismatches,
+    pathConflicts: plan.pathConflicts,
+    plan
   };
 }
 
-/**
- * Determines appropriate file extension based on data type
- * @param {any} value - The value to determine extension for
- * @returns {string} - File extension
- */
-function getFileExtension(value) {
-  if (typeof value === 'string') {
-    // Check if string looks like JSON
-    try {
-      JSON.parse(value);
-      return '.json';
-    } catch {
-      // Check if string looks like HTML
-      if (value.trim().startsWith('<') && value.trim().endsWith('>')) {
-        return '.html';
-      }
-      // Check if string looks like CSS
-      if (value.includes('{') && value.includes('}') && value.includes(':')) {
-        return '.css';
-      }
-      // Check if string looks like JavaScript
-      if (value.includes('function') || value.includes('=>') || value.includes('var ') || value.includes('const ')) {
-        return '.js';
-      }
-      return '.txt';
-    }
-  }
-  
-  if (typeof value === 'number') {
-    return '.txt';
-  }
-  
-  if (typeof value === 'boolean') {
-    return '.txt';
-  }
-  
-  return '.json';
-}
-
 /**
  * Flattens tree structure for ZIP file creation
  * @param {TreeNode} treeNode - Root tree node
@@ -261,7 +246,7 @@ function flattenTreeToFiles(treeNode, basePath = '') {
       files.push({
         path: fullPath,
         content: node.value !== null ? String(node.value) : '',
-        size: String(node.value || '').length
+        size: getByteLength(node.value !== null ? String(node.value) : '')
       });
     } else {
       // For folders, traverse children
@@ -293,7 +278,7 @@ function getTreeStatistics(treeNode) {
     
     if (node.type === 'file') {
       stats.totalFiles++;
-      stats.totalSize += String(node.value || '').length;
+      stats.totalSize += getByteLength(node.value !== null ? String(node.value) : '');
     } else {
       stats.totalFolders++;
       node.children.forEach(child => {
@@ -306,4 +291,629 @@ function getTreeStatistics(treeNode) {
   return stats;
 }
 
-export { parseJsonInput, generateTreeStructure, validateJsonStructure, TreeNode, flattenTreeToFiles, getTreeStatistics, parseJsonStructure };
+/**
+ * Input dialects, each accepting everything the ones before it do. Functions
+ * taking a dialect also accept 'auto', which reads all of them and reports the
+ * simplest one the text needed.
+ */
+const JSON_DIALECTS = {
+  json: { label: 'JSON', description: 'Strict JSON' },
+  jsonc: { label: 'JSONC', description: 'JSON with comments and trailing commas' },
+  json5: { label: 'JSON5', description: 'JSONC plus unquoted keys, single quotes, hex numbers, Infinity and NaN' }
+};
+const DIALECT_ORDER = ['json', 'jsonc', 'json5'];
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+// Escapes JSON5 adds; a backslash before a line break continues the string on the next line
+const JSON5_ESCAPES = { '\'': '\'', v: '\v', 0: '\0', '\u2028': '', '\u2029': '' };
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const JSON5_NUMBER_PATTERN = /^[+-]?(Infinity|NaN|0[xX][0-9a-fA-F]+|((0|[1-9]\d*)(\.\d*)?|\.\d+)([eE][+-]?\d+)?)$/;
+const LITERALS = { true: true, false: false, null: null };
+const JSON5_LITERALS = { Infinity, NaN };
+const JSON5_WHITESPACE = /[\v\f\u00a0\ufeff\u2028\u2029\p{Zs}]/u;
+const IDENTIFIER_START = /[\p{L}\p{Nl}$_]/u;
+const IDENTIFIER_PART = /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$\u200c\u200d]/u;
+
+/**
+ * Creates an incremental JSON tokenizer. Text may be written in chunks of any
+ * size (split anywhere, even inside a string or escape); tokens are reported
+ * as soon as they are complete, so a document never has to be held in memory.
+ *
+ * With options.onError the tokenizer reports errors instead of throwing and
+ * recovers where it can (a missing comma or colon is assumed, a trailing
+ * comma ignored, an unclosed container closed, a line break ends an
+ * unterminated string and anything else is skipped). Errors that follow from
+ * the previous one are not reported until a token parses normally again.
+ *
+ * @param {Function} onToken - Receives { type, value } where type is 'startObject', 'endObject',
+ *   'startArray', 'endArray', 'key' or 'value'
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onError - Receives { message, line, column } for each error and makes
+ *   the tokenizer recover instead of throwing
+ * @param {string} options.dialect - 'json' (default), 'jsonc', 'json5' or 'auto' (see JSON_DIALECTS)
+ * @returns {Object} - { write(text), end(), getDialect() }; without onError write and end throw a
+ *   SyntaxError with line and column properties on invalid input, and getDialect returns the
+ *   simplest dialect that allows everything read so far
+ */
+function createJsonTokenizer(onToken, options = {}) {
+  const { onError, dialect = 'json' } = options;
+  const level = dialect === 'auto' ? DIALECT_ORDER.length - 1 : DIALECT_ORDER.indexOf(dialect);
+  if (level === -1) {
+    throw new Error(`Unknown JSON dialect "${dialect}"`);
+  }
+  const allowsComments = level >= DIALECT_ORDER.indexOf('jsonc');
+  const isJson5 = level >= DIALECT_ORDER.indexOf('json5');
+  let usedLevel = 0;
+  // Open containers: { type: 'object' | 'array', line, column }
+  const stack = [];
+  // value, firstValue (after "["), firstKey (after "{"), key, colon, next (after a value) or done
+  let expect = 'value';
+  // String, number or literal that may continue in the next chunk
+  let token = null;
+  let line = 1;
+  let column = 0;
+  // Set by a reported error and cleared by the next token that parses normally
+  let recovering = false;
+  // Comment being skipped: { kind: 'start' (after "/"), 'line', 'block' or 'blockEnd' (after "*"), start }
+  let comment = null;
+
+  function markDialect(name) {
+    usedLevel = Math.max(usedLevel, DIALECT_ORDER.indexOf(name));
+  }
+
+  function fail(message, position = { line, column }) {
+    if (!onError) {
+      const error = new SyntaxError(`${message} at line ${position.line}, column ${position.column + 1}`);
+      error.line = position.line;
+      error.column = position.column + 1;
+      throw error;
+    }
+    if (!recovering) {
+      onError({ message, line: position.line, column: position.column + 1 });
+    }
+    recovering = true;
+  }
+
+  function emit(parsed) {
+    recovering = false;
+    onToken(parsed);
+  }
+
+  function afterValue() {
+    expect = stack.length > 0 ? 'next' : 'done';
+  }
+
+  function closeTop(recovered) {
+    const container = stack.pop();
+    const closing = { type: container.type === 'object' ? 'endObject' : 'endArray' };
+    if (recovered) {
+      onToken(closing);
+    } else {
+      emit(closing);
+    }
+    afterValue();
+  }
+
+  function describeContainer(container) {
+    return `the ${container.type} opened at line ${container.line}, column ${container.column + 1}`;
+  }
+
+  function readNumber(text) {
+    if (NUMBER_PATTERN.test(text)) return Number(text);
+    if (!isJson5 || !JSON5_NUMBER_PATTERN.test(text)) return undefined;
+    markDialect('json5');
+    // Number() reads hex digits, ".5" and "5." but not a sign in front of them
+    return (text[0] === '-' ? -1 : 1) * Number(text.replace(/^[+-]/, ''));
+  }
+
+  function readLiteral(text) {
+    if (Object.prototype.hasOwnProperty.call(LITERALS, text)) return LITERALS[text];
+    if (!isJson5 || !Object.prototype.hasOwnProperty.call(JSON5_LITERALS, text)) return undefined;
+    markDialect('json5');
+    return JSON5_LITERALS[text];
+  }
+
+  function finishScalar() {
+    const { kind, text, start } = token;
+    token = null;
+    if (kind === 'identifier') {
+      emit({ type: 'key', value: text });
+      expect = 'colon';
+      return;
+    }
+
+    const value = kind === 'number' ? readNumber(text) : readLiteral(text);
+    if (value === undefined) {
+      fail(kind === 'number' ? `Invalid number "${text}"` : `Unexpected token "${text}"`, start);
+      onToken({ type: 'value', value: null });
+    } else {
+      emit({ type: 'value', value });
+    }
+    afterValue();
+  }
+
+  function finishString(recovered) {
+    const parsed = { type: token.isKey ? 'key' : 'value', value: token.parts.join('') };
+    const isKey = token.isKey;
+    token = null;
+    if (recovered) {
+      onToken(parsed);
+    } else {
+      emit(parsed);
+    }
+    if (isKey) {
+      expect = 'colon';
+    } else {
+      afterValue();
+    }
+  }
+
+  function readString(text, start) {
+    const quote = token.quote.charCodeAt(0);
+    let i = start;
+    while (i < text.length) {
+      if (token.escape !== null) {
+        const char = text[i];
+        if (token.escape === '\r') {
+          // A line continuation ending in "\r\n"
+          token.escape = null;
+          if (char === '\n') {
+            line++;
+            column = 0;
+            i++;
+          }
+          continue;
+        }
+        if (token.escape === '') {
+          if (char === 'u' || (char === 'x' && isJson5)) {
+            token.escape = char;
+          } else if (JSON_ESCAPES[char] !== undefined) {
+            token.parts.push(JSON_ESCAPES[char]);
+            token.escape = null;
+          } else if (isJson5 && (char === '\n' || char === '\r')) {
+            markDialect('json5');
+            token.escape = char === '\r' ? '\r' : null;
+            if (char === '\n') {
+              line++;
+              column = 0;
+            }
+            i++;
+            continue;
+          } else if (isJson5 && !/[1-9]/.test(char)) {
+            // JSON5 keeps the character itself for any other escape
+            markDialect('json5');
+            token.parts.push(JSON5_ESCAPES[char] ?? char);
+            token.escape = null;
+          } else {
+            fail(`Bad escape "\\${char}" in string`);
+            token.parts.push(char);
+            token.escape = null;
+          }
+        } else if (!/[0-9a-fA-F]/.test(char)) {
+          fail(`Bad ${token.escape === 'u' ? 'unicode' : 'hex'} escape "\\${token.escape}${char}" in string`);
+          token.escape = null;
+          // The character is read again as part of the string
+          continue;
+        } else {
+          token.escape += char;
+          if (token.escape.length === (token.escape[0] === 'u' ? 5 : 3)) {
+            if (token.escape[0] === 'x') markDialect('json5');
+            token.parts.push(String.fromCharCode(parseInt(token.escape.slice(1), 16)));
+            token.escape = null;
+          }
+        }
+        i++;
+        column++;
+        continue;
+      }
+
+      // Copy everything up to the next quote, backslash or control character at once
+      let end = i;
+      while (end < text.length) {
+        const code = text.charCodeAt(end);
+        if (code === quote || code === 0x5c || code < 0x20) break;
+        end++;
+      }
+      if (end > i) {
+        token.parts.push(text.slice(i, end));
+        column += end - i;
+        i = end;
+      }
+      if (i >= text.length) break;
+
+      const code = text.charCodeAt(i);
+      if (code === 0x0a) {
+        // The line break is left for write() so lines are still counted
+        fail('Unterminated string', token.start);
+        finishString(true);
+        return i;
+      }
+      if (code < 0x20) {
+        fail('Bad control character in string');
+        token.parts.push(text[i]);
+      } else if (code === 0x5c) {
+        token.escape = '';
+      } else {
+        i++;
+        column++;
+        finishString(false);
+        return i;
+      }
+      i++;
+      column++;
+    }
+    return i;
+  }
+
+  // Handles a closing bracket; returns false when it has to be read again
+  function readClose(char) {
+    const type = char === '}' ? 'object' : 'array';
+    const top = stack[stack.length - 1];
+
+    if (!top) {
+      fail(expect === 'done' ? `Unexpected "${char}" after the end of the JSON document` : `Unexpected "${char}"`);
+      return true;
+    }
+    if (top.type !== type) {
+      if (!stack.some(container => container.type === type)) {
+        fail(`Unexpected "${char}"`);
+        return true;
+      }
+      // Closes an outer container, so the inner one was left open
+      fail(`Expected "${top.type === 'object' ? '}' : ']'}" to close ${describeContainer(top)}`);
+      closeTop(true);
+      return false;
+    }
+
+    if (expect === 'next' || expect === (type === 'object' ? 'firstKey' : 'firstValue')) {
+      closeTop(false);
+      return true;
+    }
+    if (allowsComments && expect === (type === 'object' ? 'key' : 'value')) {
+      markDialect('jsonc');
+      closeTop(false);
+      return true;
+    }
+    if (expect === 'colon') {
+      fail('Expected ":" after property name');
+    } else if (expect === 'value' && type === 'object') {
+      fail(`Expected a value before "${char}"`);
+    } else {
+      fail(`Trailing comma before "${char}"`);
+    }
+    closeTop(true);
+    return true;
+  }
+
+  // Handles a character outside strings, numbers and literals; returns false when it has to be read again
+  function readChar(char) {
+    const top = stack[stack.length - 1];
+    const expectsValue = expect === 'value' || expect === 'firstValue';
+    const expectsKey = expect === 'firstKey' || expect === 'key';
+    const startsValue = (isJson5 ? /[[{"'\-+.0-9a-zA-Z_$]/ : /[[{"\-0-9a-z]/).test(char);
+
+    if ((char === '{' || char === '[') && expectsValue) {
+      stack.push({ type: char === '{' ? 'object' : 'array', line, column });
+      emit({ type: char === '{' ? 'startObject' : 'startArray' });
+      expect = char === '{' ? 'firstKey' : 'firstValue';
+    } else if (char === '}' || char === ']') {
+      return readClose(char);
+    } else if (char === ',' && expect === 'next') {
+      expect = top.type === 'object' ? 'key' : 'value';
+    } else if (char === ':' && expect === 'colon') {
+      expect = 'value';
+    } else if ((char === '"' || (char === '\'' && isJson5)) && (expectsValue || expectsKey)) {
+      if (char === '\'') markDialect('json5');
+      token = { kind: 'string', quote: char, isKey: expectsKey, parts: [], escape: null, start: { line, column } };
+    } else if ((/[-0-9]/.test(char) || (isJson5 && (char === '+' || char === '.'))) && expectsValue) {
+      token = { kind: 'number', text: char, start: { line, column } };
+    } else if ((isJson5 ? /[a-zA-Z]/ : /[a-z]/).test(char) && expectsValue) {
+      token = { kind: 'literal', text: char, start: { line, column } };
+    } else if (isJson5 && expectsKey && IDENTIFIER_START.test(char)) {
+      markDialect('json5');
+      token = { kind: 'identifier', text: char, start: { line, column } };
+    } else if (expect === 'next' && startsValue) {
+      fail(top.type === 'object' ? 'Expected "," or "}" after property value' : 'Expected "," or "]" after array element');
+      expect = top.type === 'object' ? 'key' : 'value';
+      return false;
+    } else if (expect === 'colon' && startsValue) {
+      fail('Expected ":" after property name');
+      expect = 'value';
+      return false;
+    } else if (expectsKey) {
+      fail(char === '\'' ? 'Property names must use double quotes' : `Expected property name in double quotes, found "${char}"`);
+    } else if (expect === 'done') {
+      fail(`Unexpected "${char}" after the end of the JSON document`);
+    } else if (char === '\'' && expectsValue) {
+      fail('Strings must use double quotes');
+    } else {
+      fail(`Unexpected token "${char}"`);
+    }
+    return true;
+  }
+
+  // Skips the text of a comment; returns the index of the first character after it
+  function readComment(text, start) {
+    let i = start;
+    if (comment.kind === 'start') {
+      if (text[i] !== '/' && text[i] !== '*') {
+        fail('Unexpected "/"', comment.start);
+        comment = null;
+        // The character is read again
+        return i;
+      }
+      markDialect('jsonc');
+      comment.kind = text[i] === '/' ? 'line' : 'block';
+      i++;
+      column++;
+    }
+
+    if (comment.kind === 'line') {
+      // The line break is left for write() so lines are still counted
+      const end = text.indexOf('\n', i);
+      column += (end === -1 ? text.length : end) - i;
+      if (end === -1) return text.length;
+      comment = null;
+      return end;
+    }
+
+    while (i < text.length) {
+      const char = text[i];
+      i++;
+      if (char === '\n') {
+        line++;
+        column = 0;
+      } else {
+        column++;
+      }
+      if (comment.kind === 'blockEnd' && char === '/') {
+        comment = null;
+        return i;
+      }
+      comment.kind = char === '*' ? 'blockEnd' : 'block';
+    }
+    return i;
+  }
+
+  function write(text) {
+    let i = 0;
+    while (i < text.length) {
+      if (token?.kind === 'string') {
+        i = readString(text, i);
+        continue;
+      }
+      if (comment) {
+        i = readComment(text, i);
+        continue;
+      }
+
+      const char = text[i];
+      if (token) {
+        if (token.kind === 'identifier' ? IDENTIFIER_PART.test(char) : /[0-9a-zA-Z+\-.]/.test(char)) {
+          token.text += char;
+          i++;
+          column++;
+          continue;
+        }
+        finishScalar();
+      }
+
+      if (char === ' ' || char === '\t' || char === '\r' || char === '\n') {
+        if (char === '\n') {
+          line++;
+          column = 0;
+        } else {
+          column++;
+        }
+        i++;
+        continue;
+      }
+
+      if (isJson5 && JSON5_WHITESPACE.test(char)) {
+        markDialect('json5');
+        i++;
+        column++;
+        continue;
+      }
+
+      if (char === '/' && allowsComments) {
+        comment = { kind: 'start', start: { line, column } };
+        i++;
+        column++;
+        continue;
+      }
+
+      if (readChar(char)) {
+        i++;
+        column++;
+      }
+    }
+  }
+
+  function end() {
+    if (token && token.kind !== 'string') {
+      finishScalar();
+    }
+    if (comment?.kind === 'start') {
+      fail('Unexpected "/"', comment.start);
+    } else if (comment && comment.kind !== 'line') {
+      fail('Unterminated comment', comment.start);
+    }
+    if (token) {
+      fail('Unterminated string', token.start);
+    } else if (stack.length > 0) {
+      fail(`Unexpected end of JSON input, expected "${stack[stack.length - 1].type === 'object' ? '}' : ']'}" to close ${describeContainer(stack[stack.length - 1])}`);
+    } else if (expect !== 'done') {
+      fail('Unexpected end of JSON input');
+    }
+  }
+
+  return { write, end, getDialect: () => DIALECT_ORDER[usedLevel] };
+}
+
+/**
+ * Parses JSON text in any dialect
+ * @param {string} text - JSON, JSONC or JSON5 text
+ * @param {string} dialect - 'json', 'jsonc', 'json5' or 'auto' (see JSON_DIALECTS)
+ * @returns {Object} - { data, dialect } where dialect is the simplest one the text needed;
+ *   throws a SyntaxError with line and column properties on invalid input
+ */
+function parseJsonText(text, dialect = 'json') {
+  if (dialect === 'json' || dialect === 'auto') {
+    try {
+      return { data: JSON.parse(text), dialect: 'json' };
+    } catch (error) {
+      if (dialect === 'json') throw error;
+    }
+  }
+
+  // Open containers, each with the key its next value is stored under
+  const stack = [];
+  let data;
+
+  const add = (value) => {
+    const parent = stack[stack.length - 1];
+    if (!parent) {
+      data = value;
+    } else if (Array.isArray(parent.value)) {
+      parent.value.push(value);
+    } else if (parent.key === '__proto__') {
+      // Same own property JSON.parse creates, rather than a new prototype
+      Object.defineProperty(parent.value, parent.key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+      parent.value[parent.key] = value;
+    }
+  };
+
+  const tokenizer = createJsonTokenizer((token) => {
+    switch (token.type) {
+      case 'startObject':
+      case 'startArray': {
+        const value = token.type === 'startArray' ? [] : {};
+        add(value);
+        stack.push({ value, key: null });
+        break;
+      }
+      case 'endObject':
+      case 'endArray':
+        stack.pop();
+        break;
+      case 'key':
+        stack[stack.length - 1].key = token.value;
+        break;
+      default:
+        add(token.value);
+    }
+  }, { dialect });
+
+  tokenizer.write(text);
+  tokenizer.end();
+  return { data, dialect: tokenizer.getDialect() };
+}
+
+/**
+ * Finds the syntax errors of a JSON text, recovering after each one so that
+ * several mistakes can be fixed in one pass
+ * @param {string} text - JSON text
+ * @param {Object} options - Configuration options
+ * @param {string} options.dialect - Dialect to check against, 'json' by default (see JSON_DIALECTS)
+ * @param {number} options.maxErrors - Stop after this many errors
+ * @returns {Array} - { message, line, column, offset, snippet } for each error in document order
+ *   (line and column start at 1, offset is the string index); empty for valid JSON
+ */
+function findJsonErrors(text, options = {}) {
+  const { dialect = 'json', maxErrors = 20 } = options;
+  const errors = [];
+  const limitReached = {};
+  const tokenizer = createJsonTokenizer(() => {}, {
+    dialect,
+    onError(error) {
+      errors.push(error);
+      if (errors.length >= maxErrors) throw limitReached;
+    }
+  });
+
+  try {
+    tokenizer.write(text);
+    tokenizer.end();
+  } catch (error) {
+    if (error !== limitReached) throw error;
+  }
+
+  const lineOffsets = getLineOffsets(text);
+  return errors.map(error => ({
+    ...error,
+    offset: Math.min(lineOffsets[error.line - 1] + error.column - 1, text.length),
+    snippet: formatErrorSnippet(text, error.line, error.column)
+  }));
+}
+
+/**
+ * Formats the line of an error and the one before it, with a caret under the column
+ * @param {string} text - JSON text
+ * @param {number} line - Line of the error, starting at 1
+ * @param {number} column - Column of the error, starting at 1
+ * @returns {string} - Snippet such as "2 |   "a": 1\n3 |   "b" 2\n  |       ^"
+ */
+function formatErrorSnippet(text, line, column) {
+  const lines = text.split('\n');
+  const width = String(line).length;
+  const gutter = number => `${String(number).padStart(width)} | `;
+  const snippet = [];
+
+  if (line > 1) {
+    snippet.push(gutter(line - 1) + lines[line - 2].replace(/\r$/, ''));
+  }
+  snippet.push(gutter(line) + (lines[line - 1] ?? '').replace(/\r$/, ''));
+  // Tabs are kept so the caret lines up with the text above it
+  const indent = (lines[line - 1] ?? '').slice(0, column - 1).replace(/[^\t]/g, ' ');
+  snippet.push(`${' '.repeat(width)} | ${indent}^`);
+
+  return snippet.join('\n');
+}
+
+function getLineOffsets(text) {
+  const offsets = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    offsets.push(i + 1);
+  }
+  return offsets;
+}
+
+/**
+ * Reads a File, Blob or ReadableStream of UTF-8 text chunk by chunk, so JSON
+ * too large for a string can be fed to createJsonTokenizer or a streaming
+ * planner. Reading stops, and the stream is cancelled, when onText throws.
+ * @param {Blob|ReadableStream} source - File from an input or drop, or a response body
+ * @param {Function} onText - Receives each decoded chunk of text
+ * @param {Function} onProgress - Optional, receives { bytesRead, totalBytes } after each chunk;
+ *   totalBytes is null for streams of unknown length
+ * @returns {Promise<number>} - Number of bytes read
+ */
+async function readJsonStream(source, onText, onProgress) {
+  const stream = typeof source.stream === 'function' ? source.stream() : source;
+  const totalBytes = typeof source.size === 'number' ? source.size : null;
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let bytesRead = 0;
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytesRead += value.length;
+      onText(decoder.decode(value, { stream: true }));
+      onProgress?.({ bytesRead, totalBytes });
+    }
+    onText(decoder.decode());
+  } catch (error) {
+    await reader.cancel().catch(() => {});
+    throw error;
+  } finally {
+    reader.releaseLock();
+  }
+
+  return bytesRead;
+}
+
+export { parseJsonInput, generateTreeStructure, validateJsonStructure, TreeNode, flattenTreeToFiles, getTreeStatistics, parseJsonStructure, JSON_DIALECTS, parseJsonText, createJsonTokenizer, findJsonErrors, formatErrorSnippet, readJsonStream };
@@ -0,0 +1,28 @@
+/* EXPORTS: appendPointer, parsePointer */
+
+/**
+ * Appends a key or array index to an RFC 6901 JSON Pointer
+ * @param {string} pointer - Parent pointer ('' for the document root)
+ * @param {string|number} token - Object key or array index
+ * @returns {string} - Child pointer, e.g. "/src/components~1Button.js"
+ */
+function appendPointer(pointer, token) {
+  return `${pointer}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Splits an RFC 6901 JSON Pointer into unescaped tokens
+ * @param {string} pointer - Pointer such as "/a/0/b~1c"
+ * @returns {Array<string>} - Tokens, empty for the document root
+ */
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+export { appendPointer, parsePointer };
@@ -0,0 +1,466 @@
+/* EXPORTS: repairJson, diffLines */
+
+const JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const WHITESPACE = /[ \t\r\n]+/y;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const NUMBER_LIKE = /[-+.\w]+/y;
+// "const data = ", "module.exports =" or "export default" before an object copied from code
+const ASSIGNMENT = /(?:export\s+default|module\.exports\s*=|(?:const|let|var)\s+[A-Za-z_$][\w$]*\s*=)\s*/y;
+const LITERAL_FIXES = { True: 'true', False: 'false', None: 'null', undefined: 'null', NaN: 'null', Infinity: 'null' };
+// Characters that can close a string opened by each quote
+const QUOTE_CLOSERS = {
+  '"': ['"'],
+  '\'': ['\''],
+  '`': ['`'],
+  '“': ['”', '“'],
+  '”': ['”', '“'],
+  '‘': ['’', '‘'],
+  '’': ['’', '‘']
+};
+const QUOTE_NAMES = { '\'': 'single quotes', '`': 'backticks' };
+const STRING_ESCAPES = '"\\/bfnrtu';
+// Diffs that need more line edits than this show the changed region as replaced
+const MAX_DIFF_EDITS = 2000;
+const REPAIR_FAILED = new Error('JSON could not be repaired');
+
+/**
+ * Rewrites almost-JSON into JSON: comments, trailing and missing commas,
+ * single, curly and backtick quotes, unquoted keys and words, line breaks in
+ * strings, JavaScript and Python literals (undefined, NaN, True, None...),
+ * hex and "+" numbers, unclosed brackets and "const data = ...;" wrappers
+ * copied from code. Whitespace and escapes are kept wherever possible, so
+ * the result diffs cleanly against the input.
+ * @param {string} text - Text that JSON.parse rejected
+ * @returns {Object|null} - { text, changes } where each change is { line, column, message } (1-based,
+ *   in the input); null when nothing needed repair or the result would still not be valid JSON
+ */
+function repairJson(text) {
+  const lineStarts = getLineStarts(text);
+  const out = [];
+  const changes = [];
+  let i = 0;
+
+  const note = (position, message) => {
+    changes.push({ ...locate(lineStarts, position), message });
+  };
+  const fail = () => {
+    throw REPAIR_FAILED;
+  };
+
+  // Drops trailing spaces left by a removed comment, and its whole line when nothing else is on it
+  function removeCommentSpace() {
+    while (out.length > 0 && /[ \t]$/.test(out[out.length - 1])) {
+      out[out.length - 1] = out[out.length - 1].replace(/[ \t]+$/, '');
+      if (out[out.length - 1] === '') out.pop();
+    }
+    const atLineStart = out.length === 0 || out[out.length - 1].endsWith('\n');
+    const rest = /[ \t]*\r?\n/y;
+    rest.lastIndex = i;
+    if (atLineStart && rest.test(text)) {
+      i = rest.lastIndex;
+    }
+  }
+
+  function skipSpace() {
+    while (i < text.length) {
+      WHITESPACE.lastIndex = i;
+      if (WHITESPACE.test(text)) {
+        out.push(text.slice(i, WHITESPACE.lastIndex));
+        i = WHITESPACE.lastIndex;
+      } else if (text.startsWith('//', i)) {
+        note(i, 'Removed comment');
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end;
+        removeCommentSpace();
+      } else if (text.startsWith('/*', i)) {
+        note(i, 'Removed comment');
+        const end = text.indexOf('*/', i + 2);
+        if (end === -1) fail();
+        i = end + 2;
+        removeCommentSpace();
+      } else if (text[i] === '\u00a0') {
+        note(i, 'Replaced non-breaking space');
+        out.push(' ');
+        i++;
+      } else if (text[i] === '\ufeff') {
+        note(i, 'Removed byte order mark');
+        i++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function parseValue() {
+    const char = text[i];
+    if (char === '{' || char === '[') {
+      parseContainer(char === '{' ? '}' : ']');
+    } else if (QUOTE_CLOSERS[char]) {
+      parseString();
+    } else if (/[-+.\d]/.test(char)) {
+      parseNumber();
+    } else if (/[A-Za-z_$]/.test(char)) {
+      parseWord();
+    } else {
+      fail();
+    }
+  }
+
+  function parseContainer(close) {
+    out.push(text[i]);
+    i++;
+    // Comma after the last element, removed again if the container ends
+    let comma = null;
+    let expectsElement = true;
+
+    for (;;) {
+      skipSpace();
+      const char = text[i];
+
+      if (i >= text.length || char === '}' || char === ']') {
+        if (comma) {
+          note(comma.position, 'Removed trailing comma');
+          out[comma.index] = '';
+        }
+        if (i >= text.length) {
+          note(i, `Added missing "${close}"`);
+        } else {
+          if (char !== close) note(i, `Replaced "${char}" with "${close}"`);
+          i++;
+        }
+        out.push(close);
+        return;
+      }
+
+      if (char === ',') {
+        if (expectsElement) {
+          note(i, 'Removed extra comma');
+        } else {
+          comma = { index: out.length, position: i };
+          out.push(',');
+          expectsElement = true;
+        }
+        i++;
+        continue;
+      }
+
+      if (!expectsElement) {
+        note(i, 'Added missing comma');
+        // Right after the previous element, before the whitespace already copied
+        let index = out.length - 1;
+        while (/^\s*$/.test(out[index])) index--;
+        out[index] += ',';
+      }
+      comma = null;
+      if (close === '}') {
+        parseMember();
+      } else {
+        parseValue();
+      }
+      expectsElement = false;
+    }
+  }
+
+  function parseMember() {
+    parseKey();
+    const keyEnd = out.length - 1;
+    skipSpace();
+    if (text[i] === ':') {
+      out.push(':');
+      i++;
+    } else if (text[i] === '=') {
+      note(i, 'Replaced "=" with ":"');
+      out.push(':');
+      i++;
+    } else {
+      note(i, 'Added missing ":"');
+      out[keyEnd] += ':';
+    }
+    skipSpace();
+    parseValue();
+  }
+
+  function parseKey() {
+    if (QUOTE_CLOSERS[text[i]]) {
+      parseString();
+      return;
+    }
+    NUMBER_LIKE.lastIndex = i;
+    if (!/[\w$]/.test(text[i] || '') || !NUMBER_LIKE.test(text)) fail();
+    note(i, 'Added quotes around property name');
+    out.push(JSON.stringify(text.slice(i, NUMBER_LIKE.lastIndex)));
+    i = NUMBER_LIKE.lastIndex;
+  }
+
+  function parseString() {
+    const start = i;
+    const open = text[i];
+    const closers = QUOTE_CLOSERS[open];
+    const parts = [];
+    i++;
+
+    for (;;) {
+      if (i >= text.length) fail();
+      const char = text[i];
+      if (closers.includes(char)) break;
+
+      if (char === '\\') {
+        const next = text[i + 1];
+        if (next === undefined) fail();
+        if (STRING_ESCAPES.includes(next)) {
+          parts.push(char + next);
+        } else if (next === '\n') {
+          note(i, 'Removed line continuation in string');
+        } else if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(text.slice(i + 2, i + 4))) {
+          note(i, 'Rewrote "\\x" escape as "\\u"');
+          parts.push(`\\u00${text.slice(i + 2, i + 4)}`);
+          i += 2;
+        } else {
+          // JavaScript drops the backslash of unknown escapes such as \' and \`
+          note(i, `Removed unnecessary escape "\\${next}"`);
+          parts.push(next === '"' ? '\\"' : next);
+        }
+        i += 2;
+        continue;
+      }
+
+      if (char === '"') {
+        parts.push('\\"');
+      } else if (char === '\n') {
+        note(i, 'Escaped line break in string');
+        parts.push('\\n');
+      } else if (char === '\r') {
+        parts.push('\\r');
+      } else if (char < ' ') {
+        note(i, 'Escaped control character in string');
+        parts.push(`\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+      } else {
+        parts.push(char);
+      }
+      i++;
+    }
+    i++;
+
+    if (open !== '"') {
+      note(start, `Replaced ${QUOTE_NAMES[open] || 'curly quotes'} with double quotes`);
+    }
+    out.push(`"${parts.join('')}"`);
+  }
+
+  function parseNumber() {
+    const start = i;
+    NUMBER_LIKE.lastIndex = i;
+    NUMBER_LIKE.test(text);
+    const raw = text.slice(i, NUMBER_LIKE.lastIndex);
+    i = NUMBER_LIKE.lastIndex;
+
+    if (JSON_NUMBER.test(raw)) {
+      out.push(raw);
+      return;
+    }
+
+    const sign = raw[0] === '-' ? '-' : '';
+    const digits = raw.replace(/^[-+]/, '').replace(/_/g, '');
+    let number;
+    if (digits === 'Infinity') {
+      number = 'null';
+    } else if (/^0[xob]/i.test(digits)) {
+      number = `${sign}${Number(digits)}`;
+    } else {
+      number = sign + digits
+        .replace(/^0+(?=\d)/, '')
+        .replace(/^\./, '0.')
+        .replace(/\.(?=$|[eE])/, '');
+    }
+
+    if (number !== 'null' && !JSON_NUMBER.test(number)) fail();
+    note(start, `Rewrote ${raw} as ${number}`);
+    out.push(number);
+  }
+
+  function parseWord() {
+    IDENTIFIER.lastIndex = i;
+    IDENTIFIER.test(text);
+    const word = text.slice(i, IDENTIFIER.lastIndex);
+
+    if (word === 'true' || word === 'false' || word === 'null') {
+      out.push(word);
+    } else if (Object.prototype.hasOwnProperty.call(LITERAL_FIXES, word)) {
+      note(i, `Replaced ${word} with ${LITERAL_FIXES[word]}`);
+      out.push(LITERAL_FIXES[word]);
+    } else {
+      note(i, 'Added quotes around unquoted text');
+      out.push(JSON.stringify(word));
+    }
+    i = IDENTIFIER.lastIndex;
+  }
+
+  try {
+    skipSpace();
+    ASSIGNMENT.lastIndex = i;
+    if (ASSIGNMENT.test(text)) {
+      note(i, 'Removed JavaScript assignment');
+      i = ASSIGNMENT.lastIndex;
+    }
+    parseValue();
+    skipSpace();
+    while (text[i] === ';' || text[i] === '}' || text[i] === ']') {
+      note(i, text[i] === ';' ? 'Removed semicolon' : `Removed unmatched "${text[i]}"`);
+      i++;
+      skipSpace();
+    }
+    if (i < text.length) fail();
+  } catch (error) {
+    if (error === REPAIR_FAILED) return null;
+    throw error;
+  }
+
+  const repaired = out.join('');
+  if (changes.length === 0) return null;
+  try {
+    JSON.parse(repaired);
+  } catch {
+    return null;
+  }
+  changes.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { text: repaired, changes };
+}
+
+/**
+ * Compares two texts line by line (Myers' algorithm)
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @param {number} context - Unchanged lines kept around each change
+ * @returns {Array} - { type: 'same' | 'removed' | 'added', text } lines, with longer unchanged
+ *   runs replaced by { type: 'skip', count }
+ */
+function diffLines(before, after, context = 2) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Only the lines between the common prefix and suffix are compared
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const lines = [
+    ...a.slice(0, prefix).map(text => ({ type: 'same', text })),
+    ...diffRange(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...a.slice(a.length - suffix).map(text => ({ type: 'same', text }))
+  ];
+
+  return collapseUnchanged(lines, context);
+}
+
+function diffRange(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // v[offset + k] is the furthest x reached on diagonal k; one spare slot on each side
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  // Step d only reads diagonals -d-1 to d+1, so that much of v is kept for backtracking,
+  // which bounds the trace by MAX_DIFF_EDITS rather than by the number of lines
+  const trace = [];
+
+  for (let d = 0; d <= n + m; d++) {
+    if (d > MAX_DIFF_EDITS) {
+      return [...a.map(text => ({ type: 'removed', text })), ...b.map(text => ({ type: 'added', text }))];
+    }
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+  return [];
+}
+
+function backtrack(trace, a, b) {
+  const lines = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    // trace[d] starts at diagonal -d-1
+    const v = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && v[d + k] < v[d + k + 2]) ? k + 1 : k - 1;
+    const previousX = v[d + 1 + previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      lines.push({ type: 'same', text: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      lines.push(x === previousX ? { type: 'added', text: b[y - 1] } : { type: 'removed', text: a[x - 1] });
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  return lines.reverse();
+}
+
+function collapseUnchanged(lines, context) {
+  const result = [];
+  let start = 0;
+  while (start < lines.length) {
+    if (lines[start].type !== 'same') {
+      result.push(lines[start]);
+      start++;
+      continue;
+    }
+    let end = start;
+    while (end < lines.length && lines[end].type === 'same') end++;
+
+    const keepBefore = start === 0 ? 0 : context;
+    const keepAfter = end === lines.length ? 0 : context;
+    if (end - start > keepBefore + keepAfter + 1) {
+      result.push(...lines.slice(start, start + keepBefore));
+      result.push({ type: 'skip', count: end - start - keepBefore - keepAfter });
+      result.push(...lines.slice(end - keepAfter, end));
+    } else {
+      result.push(...lines.slice(start, end));
+    }
+    start = end;
+  }
+  return result;
+}
+
+function getLineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+  return starts;
+}
+
+function locate(lineStarts, position) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return { line: low + 1, column: position - lineStarts[low] + 1 };
+}
+
+export { repairJson, diffLines };
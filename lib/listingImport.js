@@ -0,0 +1,229 @@
+/* EXPORTS: LISTING_CONTENT, isDirectoryListing, readDirectoryListing */
+
+import { splitDeclaredExtension } from './fileTypes';
+
+/**
+ * What each listed file holds in the skeleton, keyed by the value of the "content" option
+ */
+const LISTING_CONTENT = {
+  empty: { label: 'Empty files' },
+  placeholder: { label: 'Placeholder comments' }
+};
+
+// Branches drawn by tree, with box-drawing or ASCII (--charset=ascii) characters
+const TREE_GUIDES = ' \t │┃|';
+const TREE_BRANCHES = '├└┣┗|`+';
+const TREE_LINES = '─━-';
+const TREE_CONNECTOR = /(├──|└──|\|--|`--)/;
+const TREE_SUMMARY = /^\d+ director(y|ies)(, \d+ files?)?$/;
+// "[drwxr-xr-x 4.0K]" columns added by tree -p, -s, -h or -D
+const TREE_ATTRIBUTES = /^\[[^\]]*\]\s+/;
+// ls -l lines: type and permissions, links, owner, group, size and a three-part date before the name
+const LONG_LISTING = /^([-dlcbps])[-rwxsStT]{9}[@+.]?\s+\d+\s+\S+\s+\S+\s+\S+\s+\S+\s+\S+\s+\S+\s+(.+)$/;
+const LS_HEADER = /^(\.|\.?\/.*|[^\s:]+(\/[^/:]+)*):$/;
+
+const COMMENT_STYLES = [
+  [['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.java', '.kt', '.swift', '.c', '.h', '.cpp', '.hpp', '.cs', '.go', '.rs', '.php', '.scss', '.less'], text => `// ${text}`],
+  // Files without an extension are mostly Makefiles, Dockerfiles and the like
+  [['', '.py', '.rb', '.sh', '.bash', '.zsh', '.ps1', '.yml', '.yaml', '.toml', '.ini', '.conf', '.cfg', '.env', '.dockerfile', '.graphql', '.gql', '.prisma'], text => `# ${text}`],
+  [['.css'], text => `/* ${text} */`],
+  [['.html', '.htm', '.xml', '.svg', '.md', '.markdown', '.mdx', '.vue', '.svelte'], text => `<!-- ${text} -->`],
+  [['.sql'], text => `-- ${text}`],
+  [['.bat'], text => `REM ${text}`],
+  [['.txt', '.log'], text => text]
+];
+
+/**
+ * Checks whether text looks like the output of tree, find or ls -R
+ * @param {string} text - Pasted text
+ * @returns {boolean} - True when tree branches, a "./" path list or an ls -R section header is found
+ */
+function isDirectoryListing(text) {
+  const lines = text.split('\n', 50).map(line => line.trimEnd()).filter(Boolean);
+  if (lines.length === 0) return false;
+  if (lines.some(line => TREE_CONNECTOR.test(line))) return true;
+  if (/^(\.|\.?\/.*):$/.test(lines[0])) return true;
+  return lines[0] === '.' && lines.length > 1 && lines.slice(1).every(line => line.startsWith('./'));
+}
+
+/**
+ * Converts a directory listing into the JSON structure of the converter:
+ * folders become objects and files empty strings or placeholder comments.
+ * ls -R output is read by its "path:" sections; anything else is read line by
+ * line, where a name is nested under the closest line above that starts
+ * further left (tree and indented outlines) and slash-separated paths (find)
+ * become nested folders. Names ending in "/", and names with entries below
+ * them, are folders.
+ * @param {string} text - Output of tree, find, ls -R (or ls -lR) or an indented outline
+ * @param {Object} options - Configuration options
+ * @param {string} options.content - 'empty' (default) or 'placeholder' (see LISTING_CONTENT)
+ * @returns {Object} - { data, files, folders } with the number of files and folders
+ */
+function readDirectoryListing(text, options = {}) {
+  const root = createFolderNode();
+  const lines = text.replace(/^\ufeff/, '').split(/\r?\n/).map(line => line.trimEnd());
+
+  if (isLsOutput(lines)) {
+    readLsSections(lines, root);
+  } else {
+    readIndentedLines(lines, root);
+  }
+
+  const counts = { files: 0, folders: 0 };
+  const data = toJsonValue(root, '', options.content === 'placeholder', counts);
+  return { data, files: counts.files, folders: counts.folders - 1 };
+}
+
+// ls -R starts with the header of the listed folder, unless it was only given files
+function isLsOutput(lines) {
+  const first = lines.find(line => line.trim());
+  return Boolean(first) && LS_HEADER.test(first);
+}
+
+function readIndentedLines(lines, root) {
+  // Lines that can still receive children, innermost last
+  const stack = [];
+  const first = lines.findIndex(line => line.trim());
+  let base = null;
+
+  lines.forEach((line, index) => {
+    const { column, name } = splitTreeLine(line);
+    if (!name || TREE_SUMMARY.test(name)) return;
+
+    // The first line names the listed folder itself: "." is the root, "src" or "/abs/src" a folder "src"
+    let path = name;
+    if (index === first) {
+      base = name.replace(/\/$/, '');
+      if (base === '.' || base === '') return;
+    } else if (base && column === 0 && path.startsWith(`${base}/`)) {
+      path = `${getBaseName(base)}/${path.slice(base.length + 1)}`;
+    }
+    if (base && path === base) path = getBaseName(base);
+
+    while (stack.length > 0 && stack[stack.length - 1].column >= column) stack.pop();
+    const parent = stack.length > 0 ? stack[stack.length - 1].node : root;
+    const node = insertPath(parent, path);
+    if (node) {
+      stack.push({ column, node });
+    }
+  });
+}
+
+// Skips the guides and branches drawn by tree, returning where the name starts
+function splitTreeLine(line) {
+  let i = 0;
+  while (i < line.length) {
+    if (TREE_BRANCHES.includes(line[i]) && TREE_LINES.includes(line[i + 1] || '')) {
+      i++;
+      while (i < line.length && TREE_LINES.includes(line[i])) i++;
+    } else if (TREE_GUIDES.includes(line[i])) {
+      i++;
+    } else {
+      break;
+    }
+  }
+  const rest = line.slice(i);
+  const name = rest.replace(TREE_ATTRIBUTES, '').replace(/ -> .*$/, '').trim();
+  // With tree -p the permissions tell folders apart even when they are empty
+  return { column: i, name: /^\[d/.test(rest) && name && name !== '.' ? `${name}/` : name };
+}
+
+function readLsSections(lines, root) {
+  let base = null;
+  let folder = root;
+
+  lines.forEach(line => {
+    if (!line.trim() || /^total \d+/.test(line)) return;
+
+    const header = LS_HEADER.exec(line);
+    if (header && !LONG_LISTING.test(line)) {
+      const path = header[1];
+      if (base === null) {
+        base = path;
+      }
+      // Sections are relative to the first one, which is the root when it is "."
+      const relative = path === base ? '' : path.slice(base.length + 1);
+      const prefix = base === '.' ? '' : getBaseName(base);
+      folder = insertPath(root, `${[prefix, relative].filter(Boolean).join('/')}/`) || root;
+      return;
+    }
+
+    const long = LONG_LISTING.exec(line);
+    if (long) {
+      // Symbolic links are listed as "name -> target"
+      const name = long[2].replace(/ -> .*$/, '');
+      insertPath(folder, long[1] === 'd' ? `${name}/` : name);
+      return;
+    }
+
+    // Several entries share a line in columns of at least two spaces
+    line.trim().split(/\t+|\s{2,}/).forEach(name => insertPath(folder, name));
+  });
+}
+
+function createFolderNode() {
+  return { type: 'folder', children: new Map() };
+}
+
+// Adds a slash-separated path below a folder, returning its node; a trailing "/" marks a folder
+function insertPath(parent, path) {
+  const isFolder = path.endsWith('/');
+  // Markers added by ls -F and tree -F: "/" for folders, "*" executables, "@" links, "=" sockets, "|" pipes
+  const segments = path.replace(/[*@=|/]$/, '').split('/')
+    .filter(segment => segment !== '' && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) return null;
+
+  let node = parent;
+  segments.forEach((segment, index) => {
+    makeFolder(node);
+    if (!node.children.has(segment)) {
+      node.children.set(segment, { type: 'file' });
+    }
+    node = node.children.get(segment);
+    if (index < segments.length - 1 || isFolder) {
+      makeFolder(node);
+    }
+  });
+  return node;
+}
+
+// A name listed as a file turns out to be a folder once entries appear below it
+function makeFolder(node) {
+  if (node.type !== 'folder') {
+    node.type = 'folder';
+    node.children = new Map();
+  }
+}
+
+function toJsonValue(node, path, placeholders, counts) {
+  if (node.type === 'file') {
+    counts.files++;
+    return placeholders ? getPlaceholder(path) : '';
+  }
+  counts.folders++;
+  const value = {};
+  node.children.forEach((child, name) => {
+    // A listed "__proto__" is an own property like any other name
+    Object.defineProperty(value, name, {
+      value: toJsonValue(child, path ? `${path}/${name}` : name, placeholders, counts),
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+  });
+  return value;
+}
+
+// A TODO comment in the syntax of the file type; files of other types stay empty
+function getPlaceholder(path) {
+  const { extension } = splitDeclaredExtension(getBaseName(path));
+  const style = COMMENT_STYLES.find(([extensions]) => extensions.includes((extension || '').toLowerCase()));
+  if (extension === '.json') return '{}\n';
+  return style ? `${style[1](`TODO: ${path}`)}\n` : '';
+}
+
+function getBaseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+export { LISTING_CONTENT, isDirectoryListing, readDirectoryListing };
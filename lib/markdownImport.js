@@ -0,0 +1,119 @@
+/* EXPORTS: readMarkdownFiles */
+
+import { expandPathKeys } from './pathExpansion';
+
+// An opening fence: up to three spaces, then three or more backticks or tildes and the info string
+const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+// title="path", filename='path', file=path or name=path in the info string
+const INFO_FILE_NAME = /\b(?:title|filename|file|name)=(?:"([^"]+)"|'([^']+)'|(\S+))/;
+// Decorations around a file name given on the line before a block: "## File: `src/app.js`", "**src/app.js:**"
+const LINE_PREFIX = /^(?:#{1,6}\s+|[-*+]\s+|\d+\.\s+)?/;
+const FILE_LABEL = /^(?:file(?:name)?|path)\s*:\s*/i;
+const PATH_TOKEN = /^[\w.@~+-]+(?:\/[\w.@~+\-[\]()]+)*$/;
+
+/**
+ * Turns a Markdown document of fenced code blocks into the JSON structure of
+ * the files it describes. A block's path comes from title="path" (or
+ * filename=, file=, name=) in its info string, or else from the last line of
+ * text before it, such as a heading, a bold or code span or "File: path".
+ * Paths become nested folders; blocks without a path and repeated paths are
+ * skipped.
+ * @param {string} text - Markdown document
+ * @returns {Object} - { data, files, skipped } where files are { path, line, language } and skipped
+ *   are { line, reason }, lines starting at 1
+ */
+function readMarkdownFiles(text) {
+  const lines = text.replace(/^\ufeff/, '').split(/\r?\n/);
+  const flat = {};
+  const files = [];
+  const skipped = [];
+  // The last line of text before the next block, which may name it
+  let candidate = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const fence = FENCE.exec(lines[index]);
+    if (!fence || (fence[2][0] === '`' && fence[3].includes('`'))) {
+      candidate = lines[index].trim() ? lines[index] : candidate;
+      continue;
+    }
+
+    const [, indent, marker, info] = fence;
+    const start = index;
+    const content = [];
+    // The block runs to a closing fence of the same kind at least as long, or to the end of the document
+    for (index++; index < lines.length; index++) {
+      const closing = /^ {0,3}(`{3,}|~{3,})\s*$/.exec(lines[index]);
+      if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length) break;
+      content.push(removeIndent(lines[index], indent.length));
+    }
+
+    const path = getInfoFileName(info) || (candidate && getLineFileName(candidate));
+    candidate = null;
+    if (!path) {
+      skipped.push({ line: start + 1, reason: 'Code block without a file name' });
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(flat, path)) {
+      skipped.push({ line: start + 1, reason: `"${path}" is already defined by an earlier block` });
+      continue;
+    }
+
+    // A file named "__proto__" is an own property like any other
+    Object.defineProperty(flat, path, {
+      value: content.length > 0 ? `${content.join('\n')}\n` : '',
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+    files.push({ path, line: start + 1, language: info.trim().split(/\s+/)[0].replace(/[{}.]/g, '') || null });
+  }
+
+  // Paths that clash with another file or folder are dropped by the expansion
+  const { data, conflicts } = expandPathKeys(flat);
+  const dropped = new Set(conflicts.map(conflict => conflict.key));
+  conflicts.forEach(conflict => {
+    const file = files.find(entry => entry.path === conflict.key);
+    skipped.push({ line: file.line, reason: conflict.reason });
+  });
+
+  return {
+    data,
+    files: files.filter(file => !dropped.has(file.path)),
+    skipped: skipped.sort((a, b) => a.line - b.line)
+  };
+}
+
+// Code lines lose as much of the fence's indentation as they have
+function removeIndent(line, width) {
+  let removed = 0;
+  while (removed < width && line[removed] === ' ') removed++;
+  return line.slice(removed);
+}
+
+function getInfoFileName(info) {
+  const match = INFO_FILE_NAME.exec(info);
+  return match ? normalizePath(match[1] || match[2] || match[3]) : null;
+}
+
+// Reads "### src/app.js", "**`src/app.js`**", "File: src/app.js" and the like; prose is ignored
+function getLineFileName(line) {
+  const isHeading = /^\s{0,3}#{1,6}\s/.test(line);
+  const stripped = line.trim()
+    .replace(LINE_PREFIX, '')
+    .replace(/^[*_`]+|[*_`:]+$/g, '')
+    .replace(FILE_LABEL, '')
+    .replace(/^[*_`]+|[*_`:]+$/g, '')
+    .trim();
+
+  if (!PATH_TOKEN.test(stripped)) return null;
+  // Outside headings a single word is more likely prose than a file name like "Makefile"
+  if (!isHeading && !/[./]/.test(stripped)) return null;
+  return normalizePath(stripped);
+}
+
+function normalizePath(path) {
+  const normalized = path.trim().replace(/^\.\//, '');
+  return normalized && !normalized.endsWith('/') ? normalized : null;
+}
+
+export { readMarkdownFiles };
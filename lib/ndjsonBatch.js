@@ -0,0 +1,170 @@
+/* EXPORTS: BATCH_MODES, parseNdjson, getRecordFields, getRecordNames, generateNdjsonBatch */
+
+import JSZip from 'jszip';
+import { parseJsonText, findJsonErrors } from './jsonParser';
+import { createBuildPlan, sanitizeFileName } from './buildPlan';
+import { ARCHIVE_FORMATS, generateZipFromJson } from './zipGenerator';
+
+/**
+ * Ways a batch of records is packaged, keyed by the value of the "mode" option
+ */
+const BATCH_MODES = {
+  folders: { label: 'One folder per record', description: 'A single archive with a folder for each record' },
+  archives: { label: 'One archive per record', description: 'A ZIP bundling a separate archive for each record' }
+};
+
+/**
+ * Parses NDJSON (JSON Lines) text, one structure per line. Invalid lines are
+ * reported instead of failing the whole input; blank lines are skipped.
+ * @param {string} text - NDJSON text
+ * @param {Object} options - Configuration options
+ * @param {string} options.dialect - Dialect of each line (see JSON_DIALECTS), 'json' by default
+ * @returns {Object} - { records, errors } where records are { line, data } and errors { line, column, message }
+ *   (column only for syntax errors)
+ */
+function parseNdjson(text, options = {}) {
+  const records = [];
+  const errors = [];
+
+  text.replace(/^\ufeff/, '').split('\n').forEach((rawLine, index) => {
+    const lineText = rawLine.replace(/\r$/, '');
+    const line = index + 1;
+    if (!lineText.trim()) return;
+
+    const dialect = options.dialect || 'json';
+    try {
+      const { data } = parseJsonText(lineText, dialect);
+      if (data === null || typeof data !== 'object') {
+        errors.push({ line, message: 'Each line must be a JSON object or array' });
+      } else {
+        records.push({ line, data });
+      }
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      const [located] = findJsonErrors(lineText, { dialect, maxErrors: 1 });
+      errors.push(located
+        ? { line, column: located.column, message: located.message }
+        : { line, message: error.message });
+    }
+  });
+
+  return { records, errors };
+}
+
+/**
+ * Lists the top-level fields holding a string or number in any record, which can name the record folders
+ * @param {Array<Object>} records - Records returned by parseNdjson
+ * @returns {Array<string>} - Field names in the order they first appear
+ */
+function getRecordFields(records) {
+  const fields = new Set();
+  records.forEach(({ data }) => {
+    if (Array.isArray(data)) return;
+    Object.entries(data).forEach(([key, value]) => {
+      if (typeof value === 'string' || typeof value === 'number') {
+        fields.add(key);
+      }
+    });
+  });
+  return [...fields];
+}
+
+/**
+ * Names each record by the value of a field, falling back to its line number
+ * when the field is missing or empty; repeated names get the first free "-2",
+ * "-3"... suffix, so ids "a", "a-2", "a" become "a", "a-2" and "a-3"
+ * @param {Array<Object>} records - Records returned by parseNdjson
+ * @param {string} field - Top-level field to name the records by, or '' to use line numbers
+ * @returns {Array<string>} - Sanitized names, unique regardless of case, in the order of the records
+ */
+function getRecordNames(records, field) {
+  const used = new Set();
+  // Next suffix to try for each base name
+  const suffixes = new Map();
+
+  return records.map(({ line, data }) => {
+    const value = field && !Array.isArray(data) ? data[field] : undefined;
+    const base = ((typeof value === 'string' || typeof value === 'number') && sanitizeFileName(String(value))) ||
+      `record-${line}`;
+
+    let name = base;
+    let suffix = suffixes.get(base.toLowerCase()) || 2;
+    while (used.has(name.toLowerCase())) {
+      name = `${base}-${suffix++}`;
+    }
+    suffixes.set(base.toLowerCase(), suffix);
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Builds the archive for a batch of NDJSON records. Records whose structure
+ * cannot be planned are left out and reported with their line, like lines
+ * that are not valid JSON.
+ * @param {string} text - NDJSON text
+ * @param {Object} options - Options of generateZipFromJson, plus:
+ * @param {string} options.mode - 'folders' (default) or 'archives' (see BATCH_MODES)
+ * @param {string} options.nameField - Top-level field naming each record (line numbers when empty)
+ * @param {string} options.rootName - Root folder of the 'folders' archive, 'records' by default
+ * @param {string} options.dialect - Dialect of each line, 'json' by default
+ * @param {Function} options.onUpdate - Receives { percent, currentFile } while the archive is written
+ * @returns {Promise<Object>} - { archive, count, errors } where archive is null when no record is usable
+ */
+async function generateNdjsonBatch(text, options = {}) {
+  const { mode = 'folders', nameField = '', rootName = 'records', dialect, onUpdate, ...zipOptions } = options;
+  if (!BATCH_MODES[mode]) {
+    throw new Error(`Unsupported batch mode "${mode}" (expected ${Object.keys(BATCH_MODES).join(', ')})`);
+  }
+
+  const { records, errors } = parseNdjson(text, { dialect });
+  const names = getRecordNames(records, nameField);
+  const usable = [];
+
+  if (mode === 'folders') {
+    // Each record is planned on its own first, so one bad record does not fail the batch
+    records.forEach((record, index) => {
+      try {
+        createBuildPlan(record.data, { ...zipOptions, rootName: names[index], createReadme: false, includeMetadata: false });
+        usable.push({ ...record, name: names[index] });
+      } catch (error) {
+        errors.push({ line: record.line, message: error.message });
+      }
+    });
+
+    const archive = usable.length > 0
+      ? await generateZipFromJson(
+        Object.fromEntries(usable.map(record => [record.name, record.data])),
+        rootName,
+        { ...zipOptions, onUpdate }
+      )
+      : null;
+    return { archive, count: usable.length, errors: sortErrors(errors) };
+  }
+
+  const bundle = new JSZip();
+  const extension = ARCHIVE_FORMATS[zipOptions.format || 'zip'].extension;
+  for (const [index, record] of records.entries()) {
+    onUpdate?.({ percent: (index / records.length) * 100, currentFile: names[index] + extension });
+    try {
+      const archive = await generateZipFromJson(record.data, names[index], { ...zipOptions, outputType: 'uint8array' });
+      // The archives are compressed already
+      bundle.file(names[index] + extension, archive, { compression: 'STORE' });
+      usable.push(record);
+    } catch (error) {
+      errors.push({ line: record.line, message: error.message });
+    }
+  }
+
+  const archive = usable.length > 0
+    ? await bundle.generateAsync({ type: zipOptions.outputType || 'blob' })
+    : null;
+  onUpdate?.({ percent: 100, currentFile: null });
+  return { archive, count: usable.length, errors: sortErrors(errors) };
+}
+
+function sortErrors(errors) {
+  return errors.sort((a, b) => a.line - b.line);
+}
+
+export { BATCH_MODES, parseNdjson, getRecordFields, getRecordNames, generateNdjsonBatch };
@@ -0,0 +1,149 @@
+/* EXPORTS: expandPathKeys, splitPathKey */
+
+import { isFileDirective } from './fileDirectives';
+import { appendPointer } from './jsonPointer';
+
+/**
+ * Splits a slash-separated key into folder segments.
+ * Empty and "." segments are dropped; ".." makes the key invalid.
+ * @param {string} key - Key such as "src/components/Button.js"
+ * @returns {Array<string>|null} - Segments, or null when the key escapes its folder
+ */
+function splitPathKey(key) {
+  const segments = key.split(/[\\/]/).filter(segment => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    return null;
+  }
+  return segments;
+}
+
+// File descriptors ({ "$content": ... }) are files, never folders to merge into
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !isFileDirective(value);
+}
+
+function isFolderValue(value) {
+  return typeof value === 'object' && value !== null && !isFileDirective(value);
+}
+
+// Segments such as "__proto__" are names like any other: only own properties are read and created
+function getOwn(node, key) {
+  return Object.prototype.hasOwnProperty.call(node, key) ? node[key] : undefined;
+}
+
+function setOwn(node, key, value) {
+  Object.defineProperty(node, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Expands path-style keys into nested objects, merging them with sibling
+ * object keys. The first definition of a path wins; a later key that would
+ * turn a file into a folder (or the other way round) is skipped and reported.
+ *
+ * The returned origins map records, per expanded container, the JSON Pointer
+ * each child came from in the original document. Folders created only from
+ * path segments have no origin.
+ *
+ * @param {any} data - Parsed JSON data
+ * @returns {Object} - { data, conflicts, origins } with conflicts as { key, path, pointer, reason }
+ */
+function expandPathKeys(data) {
+  const conflicts = [];
+  const origins = new WeakMap();
+
+  function setOrigin(container, key, pointer) {
+    if (pointer === undefined) return;
+    if (!origins.has(container)) {
+      origins.set(container, new Map());
+    }
+    const containerOrigins = origins.get(container);
+    if (!containerOrigins.has(key)) {
+      containerOrigins.set(key, pointer);
+    }
+  }
+
+  function expand(value, currentPath, pointer) {
+    if (Array.isArray(value)) {
+      const result = value.map((item, index) =>
+        expand(item, `${currentPath}[${index}]`, appendPointer(pointer, index))
+      );
+      result.forEach((item, index) => setOrigin(result, String(index), appendPointer(pointer, index)));
+      return result;
+    }
+    if (!isPlainObject(value)) {
+      return value;
+    }
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+      const segments = splitPathKey(key);
+      if (!segments || segments.length === 0) {
+        conflicts.push({ key, path: currentPath, pointer: appendPointer(pointer, key), reason: `"${key}" is not a valid relative path` });
+        return;
+      }
+      const childPointer = appendPointer(pointer, key);
+      const expanded = expand(value[key], joinPath(currentPath, segments.join('/')), childPointer);
+      insert(result, segments, expanded, key, currentPath, childPointer);
+    });
+    return result;
+  }
+
+  function insert(target, segments, value, key, basePath, pointer) {
+    let node = target;
+    let nodePath = basePath;
+
+    for (let i = 0; i < segments.length - 1; i++) {
+      const segment = segments[i];
+      nodePath = joinPath(nodePath, segment);
+
+      const existing = getOwn(node, segment);
+      if (existing === undefined) {
+        setOwn(node, segment, {});
+      } else if (!isPlainObject(existing)) {
+        conflicts.push({ key, path: nodePath, pointer, reason: describeConflict(nodePath, existing, {}) });
+        return;
+      }
+      node = node[segment];
+    }
+
+    const last = segments[segments.length - 1];
+    const lastPath = joinPath(nodePath, last);
+    const existing = getOwn(node, last);
+
+    if (existing === undefined) {
+      setOwn(node, last, value);
+      setOrigin(node, last, pointer);
+    } else if (isPlainObject(existing) && isPlainObject(value)) {
+      setOrigin(node, last, pointer);
+      merge(existing, value, key, lastPath);
+    } else {
+      conflicts.push({ key, path: lastPath, pointer, reason: describeConflict(lastPath, existing, value) });
+    }
+  }
+
+  // Children keep the origins recorded when their source object was expanded
+  function merge(target, source, key, targetPath) {
+    const sourceOrigins = origins.get(source) || new Map();
+    Object.keys(source).forEach(childKey => {
+      insert(target, [childKey], source[childKey], key, targetPath, sourceOrigins.get(childKey));
+    });
+  }
+
+  return { data: expand(data, '', ''), conflicts, origins };
+}
+
+function describeConflict(path, existing, incoming) {
+  if (isFolderValue(existing) !== isFolderValue(incoming)) {
+    return `"${path}" is both a file and a folder`;
+  }
+  if (isFolderValue(existing)) {
+    return `"${path}" mixes an array with path keys`;
+  }
+  return `"${path}" is defined more than once`;
+}
+
+function joinPath(parentPath, name) {
+  return parentPath ? `${parentPath}/${name}` : name;
+}
+
+export { expandPathKeys, splitPathKey };
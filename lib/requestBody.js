@@ -0,0 +1,31 @@
+/* EXPORTS: MAX_UPLOAD_BYTES, readRequestBody */
+
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Reads a raw API request body into a Buffer, rejecting uploads over the limit.
+ * Routes using it must disable Next's bodyParser.
+ * @param {IncomingMessage} req - API request
+ * @param {number} maxBytes - Upload limit in bytes
+ * @returns {Promise<Buffer>} - Request body
+ */
+function readRequestBody(req, maxBytes = MAX_UPLOAD_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new Error(`Upload exceeds the ${Math.round(maxBytes / 1024 / 1024)}mb limit`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+export { MAX_UPLOAD_BYTES, readRequestBody };
@@ -0,0 +1,203 @@
+/* EXPORTS: MANIFEST_FILE, MANIFEST_VERSION, describeFileOrigin, buildManifest, isGeneratedManifest, restoreFromManifest */
+
+import { isFileDirective } from './fileDirectives';
+import { appendPointer, parsePointer } from './jsonPointer';
+
+const MANIFEST_FILE = '_manifest.json';
+const MANIFEST_VERSION = 1;
+const GENERATOR = 'json-to-zip-converter';
+// Pointer tokens that name object internals; manifests using them are not trusted
+const UNSAFE_TOKENS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Describes how a file's original JSON value is rebuilt from its content.
+ * When the content alone cannot reproduce the value exactly (e.g. a
+ * percent-encoded data URI), the original value is stored as well.
+ * @param {any} value - Original JSON value of the file
+ * @param {string} content - Planned file content (text or base64)
+ * @param {string} encoding - 'utf8' or 'base64'
+ * @returns {Object} - { valueType, encoding, contentPrefix?, directive?, value? }
+ */
+function describeFileOrigin(value, content, encoding) {
+  const record = { valueType: getValueType(value), encoding };
+
+  if (record.valueType === 'directive') {
+    record.directive = { ...value, $content: null };
+    record.contentPrefix = getContentPrefix(value.$content, content);
+  } else if (record.valueType === 'string') {
+    record.contentPrefix = getContentPrefix(value, content);
+  }
+
+  if (!record.contentPrefix) {
+    delete record.contentPrefix;
+  }
+
+  if (JSON.stringify(restoreFileValue(record, content)) !== JSON.stringify(value)) {
+    record.value = value;
+  }
+
+  return record;
+}
+
+/**
+ * Builds the round-trip manifest for a build plan
+ * @param {Object} plan - { rootName, entries, pathConflicts } with origins on data entries
+ * @param {any} jsonData - Original JSON data, used for document order
+ * @returns {Object} - Manifest written to _manifest.json
+ */
+function buildManifest(plan, jsonData) {
+  const order = getDocumentOrder(jsonData);
+  const prefix = plan.rootName ? `${plan.rootName}/` : '';
+
+  const entries = plan.entries
+    .filter(entry => entry.origin && entry.origin.pointer !== null)
+    .map(entry => {
+      const { pointer, key, ...details } = entry.origin;
+      return {
+        path: entry.path.slice(prefix.length),
+        type: entry.type,
+        pointer,
+        key,
+        renamed: typeof key === 'string' && key !== entry.name,
+        ...details
+      };
+    });
+
+  // Values dropped by path expansion conflicts are kept verbatim
+  plan.pathConflicts
+    .filter(conflict => typeof conflict.pointer === 'string' && order.has(conflict.pointer))
+    .forEach(conflict => {
+      const value = getAtPointer(jsonData, conflict.pointer);
+      entries.push({ path: null, type: 'value', pointer: conflict.pointer, key: conflict.key, valueType: getValueType(value), value });
+    });
+  entries.sort((a, b) => order.get(a.pointer) - order.get(b.pointer));
+
+  return {
+    generator: GENERATOR,
+    version: MANIFEST_VERSION,
+    rootName: plan.rootName,
+    rootType: getValueType(jsonData),
+    entries
+  };
+}
+
+/**
+ * Checks for a _manifest.json written by this tool. Manifests come from
+ * uploaded archives, so those with pointers through __proto__, constructor
+ * or prototype are refused and the archive is read from its paths instead.
+ * @param {any} manifest - Parsed manifest candidate
+ * @returns {boolean} - True when the manifest can be restored
+ */
+function isGeneratedManifest(manifest) {
+  return typeof manifest === 'object' && manifest !== null &&
+    manifest.generator === GENERATOR && Array.isArray(manifest.entries) &&
+    manifest.entries.every(record =>
+      typeof record?.pointer === 'string' &&
+      (record.pointer === '' || record.pointer.startsWith('/')) &&
+      !parsePointer(record.pointer).some(token => UNSAFE_TOKENS.includes(token))
+    );
+}
+
+/**
+ * Rebuilds the exact original JSON from a manifest
+ * @param {Object} manifest - Parsed _manifest.json
+ * @param {Function} readContent - async (path, encoding) => file content as text or base64
+ * @returns {Promise<any>} - Original JSON data
+ */
+async function restoreFromManifest(manifest, readContent) {
+  let root = manifest.rootType === 'array' ? [] : manifest.rootType === 'object' ? {} : null;
+
+  for (const record of manifest.entries) {
+    let value;
+    if (record.type === 'folder') {
+      value = record.valueType === 'array' ? [] : {};
+    } else if (record.type === 'value') {
+      value = record.value;
+    } else {
+      value = restoreFileValue(record, await readContent(record.path, record.encoding));
+    }
+
+    if (record.pointer === '') {
+      root = value;
+    } else {
+      setAtPointer(root, record.pointer, value);
+    }
+  }
+
+  return root;
+}
+
+function restoreFileValue(record, content) {
+  if (record.value !== undefined) {
+    return record.value;
+  }
+
+  const text = `${record.contentPrefix || ''}${content}`;
+  switch (record.valueType) {
+    case 'directive':
+      return { ...record.directive, $content: text };
+    case 'string':
+      return text;
+    default:
+      return JSON.parse(content);
+  }
+}
+
+function getValueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isFileDirective(value)) return 'directive';
+  return typeof value;
+}
+
+function getContentPrefix(original, content) {
+  return typeof original === 'string' && original.endsWith(content)
+    ? original.slice(0, original.length - content.length)
+    : '';
+}
+
+// Pre-order position of every pointer, so entries follow the original key order
+function getDocumentOrder(jsonData) {
+  const order = new Map();
+
+  function visit(value, pointer) {
+    order.set(pointer, order.size);
+    if (typeof value !== 'object' || value === null || isFileDirective(value)) {
+      return;
+    }
+    Object.keys(value).forEach(key => visit(value[key], appendPointer(pointer, key)));
+  }
+
+  visit(jsonData, '');
+  return order;
+}
+
+function getAtPointer(root, pointer) {
+  return parsePointer(pointer).reduce((node, token) => node?.[token], root);
+}
+
+// Only own properties are followed and written, so no pointer reaches a prototype
+function setAtPointer(root, pointer, value) {
+  const tokens = parsePointer(pointer);
+  const getOwn = (node, token) => (Object.prototype.hasOwnProperty.call(node, token) ? node[token] : undefined);
+  const setOwn = (node, token, child) =>
+    Object.defineProperty(node, token, { value: child, writable: true, enumerable: true, configurable: true });
+  let node = root;
+
+  tokens.slice(0, -1).forEach(token => {
+    if (typeof getOwn(node, token) !== 'object' || getOwn(node, token) === null) {
+      setOwn(node, token, {});
+    }
+    node = node[token];
+  });
+
+  const last = tokens[tokens.length - 1];
+  const existing = getOwn(node, last);
+  const isContainer = typeof value === 'object' && value !== null && Object.keys(value).length === 0;
+  if (isContainer && typeof existing === 'object' && existing !== null) {
+    return;
+  }
+  setOwn(node, last, value);
+}
+
+export { MANIFEST_FILE, MANIFEST_VERSION, describeFileOrigin, buildManifest, isGeneratedManifest, restoreFromManifest };
@@ -0,0 +1,269 @@
+/* EXPORTS: requiresWholeDocument, createStreamingPlanner, parseJsonStream */
+
+import { createBuildPlan, createPlanBuilder, createTreeBuilder, analyzeJsonStructure, getSourceDate } from './buildPlan';
+import { createJsonTokenizer, parseJsonText, readJsonStream } from './jsonParser';
+import { DEFAULT_COMPRESSION_POLICY } from './compressionPolicy';
+
+/**
+ * Checks whether planning options need the whole document before the first
+ * entry can be planned: path expansion merges keys from anywhere in the
+ * document and the manifest lists entries in document order
+ * @param {Object} options - Build plan options
+ * @returns {boolean} - True when the document has to be read completely first
+ */
+function requiresWholeDocument(options) {
+  return Boolean(options.expandPaths || options.includeManifest);
+}
+
+/**
+ * Plans a JSON document while its text is still arriving. Every entry is
+ * handed to onEntry as soon as it is planned, so only the value currently
+ * being read is held in memory, never the whole document.
+ *
+ * Entries match createBuildPlan on the parsed document, except that keys are
+ * planned in document order (JSON.parse moves integer-like keys first) and a
+ * repeated key is planned twice instead of keeping the last value. Objects
+ * are planned as file directives only when "$content" comes before any key
+ * that does not start with "$". Options that need the whole document (see
+ * requiresWholeDocument) read it first and then plan it with createBuildPlan.
+ *
+ * @param {Object} options - Build plan options (see createBuildPlan)
+ * @param {string} options.dialect - Input dialect, 'json' by default (see JSON_DIALECTS)
+ * @param {Function} onEntry - Receives each plan entry in order
+ * @returns {Object} - { date, compressionLevel, write(text), end(), getDialect() }; end() returns
+ *   the plan without entries, write() and end() throw a SyntaxError on invalid input (with a
+ *   pointer property when "$content" comes too late to stream the object), and getDialect() tells
+ *   which dialect the text needed
+ */
+function createStreamingPlanner(options, onEntry) {
+  if (requiresWholeDocument(options)) {
+    return createWholeDocumentPlanner(options, onEntry);
+  }
+
+  const builder = createPlanBuilder(options, { onEntry });
+  const tokenizer = createJsonTokenizer(handleToken, { dialect: options.dialect });
+
+  // Same statistics as analyzeJsonStructure, plus the JSON.stringify length of the document
+  const stats = { objectCount: 0, arrayCount: 0, fileCount: 0, maxDepth: 0 };
+  let size = 0;
+  let rootHasContent = false;
+
+  // Open containers. "folder" containers are already planned, "pending"
+  // objects may still turn out to be file directives and "value" containers
+  // are read whole because their parent is.
+  const stack = [];
+
+  function addStats(sub) {
+    stats.objectCount += sub.objectCount;
+    stats.arrayCount += sub.arrayCount;
+    stats.fileCount += sub.fileCount;
+    stats.maxDepth = Math.max(stats.maxDepth, sub.maxDepth);
+  }
+
+  function addContainerStats(isArray, depth) {
+    addStats({ objectCount: isArray ? 0 : 1, arrayCount: isArray ? 1 : 0, fileCount: 0, maxDepth: depth });
+  }
+
+  // Key or index of the next child of a container
+  function claimChildKey(container) {
+    const key = container.isArray ? container.count : container.key;
+    if (container.count > 0) size++;
+    container.count++;
+    return key;
+  }
+
+  function deliver(parent, key, value, depth) {
+    if (parent.mode === 'folder') {
+      builder.addChild(parent.folder, key, value);
+      addStats(analyzeJsonStructure(value, depth));
+    } else if (parent.isArray) {
+      parent.value.push(value);
+    } else if (key === '__proto__') {
+      // Same own property parseJsonText creates, rather than a new prototype
+      Object.defineProperty(parent.value, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+      parent.value[key] = value;
+    }
+  }
+
+  // A pending object became a folder: plan it and the "$" keys read so far
+  function promote(container) {
+    const parent = stack[stack.length - 2];
+    container.folder = builder.openChild(parent.folder, container.keyInParent, false);
+    addContainerStats(false, container.depth);
+    Object.keys(container.value).forEach(key => {
+      builder.addChild(container.folder, key, container.value[key]);
+      addStats(analyzeJsonStructure(container.value[key], container.depth + 1));
+    });
+    container.mode = 'folder';
+    container.value = null;
+  }
+
+  function openContainer(isArray) {
+    const parent = stack[stack.length - 1];
+    const depth = stack.length;
+    size += 2;
+
+    if (!parent) {
+      stack.push({ mode: 'folder', isArray, folder: builder.getRootFolder(isArray), count: 0, depth });
+      addContainerStats(isArray, depth);
+      return;
+    }
+
+    const keyInParent = claimChildKey(parent);
+    if (parent.mode !== 'folder') {
+      stack.push({ mode: 'value', isArray, value: isArray ? [] : {}, count: 0, depth, keyInParent });
+    } else if (isArray) {
+      stack.push({ mode: 'folder', isArray, folder: builder.openChild(parent.folder, keyInParent, true), count: 0, depth });
+      addContainerStats(true, depth);
+    } else {
+      stack.push({ mode: 'pending', isArray, value: {}, count: 0, depth, keyInParent });
+    }
+  }
+
+  function closeContainer() {
+    const container = stack.pop();
+    if (container.mode === 'folder') {
+      builder.closeFolder(container.folder, container.count);
+      return;
+    }
+    deliver(stack[stack.length - 1], container.keyInParent, container.value, container.depth);
+  }
+
+  function handleKey(key) {
+    const container = stack[stack.length - 1];
+    container.key = key;
+    size += JSON.stringify(key).length + 1;
+
+    if (container.mode === 'pending') {
+      if (key === '$content') {
+        container.mode = 'value';
+      } else if (!key.startsWith('$')) {
+        promote(container);
+      }
+    } else if (container.mode === 'folder' && key === '$content') {
+      // createBuildPlan never plans the root as a file, but counts it as one
+      if (stack.length > 1) {
+        const error = new SyntaxError(
+          `"$content" must be the first key of a file object to be streamed, after any other "$" keys (${container.folder.pointer})`
+        );
+        error.pointer = container.folder.pointer;
+        throw error;
+      }
+      rootHasContent = true;
+    }
+  }
+
+  function handleValue(value) {
+    size += JSON.stringify(value).length;
+    const parent = stack[stack.length - 1];
+    if (!parent) {
+      builder.addRootValue(value);
+      addStats(analyzeJsonStructure(value, 0));
+      return;
+    }
+    deliver(parent, claimChildKey(parent), value, stack.length);
+  }
+
+  function handleToken(token) {
+    switch (token.type) {
+      case 'startObject':
+      case 'startArray':
+        openContainer(token.type === 'startArray');
+        break;
+      case 'endObject':
+      case 'endArray':
+        closeContainer();
+        break;
+      case 'key':
+        handleKey(token.value);
+        break;
+      default:
+        handleValue(token.value);
+    }
+  }
+
+  return {
+    date: builder.date,
+    compressionLevel: builder.compressionLevel,
+    write: text => tokenizer.write(text),
+    end() {
+      tokenizer.end();
+      const documentStats = rootHasContent ? { objectCount: 0, arrayCount: 0, fileCount: 1, maxDepth: 0 } : stats;
+      return builder.finish({ stats: documentStats, size });
+    },
+    getDialect: () => tokenizer.getDialect()
+  };
+}
+
+/**
+ * Streaming counterpart of parseJsonStructure for a File, Blob or
+ * ReadableStream too large to parse at once. Preview nodes are added as
+ * their entries are planned; file contents are dropped as soon as each entry
+ * has been counted, so only the tree outline is kept.
+ * @param {Blob|ReadableStream} source - JSON document
+ * @param {Object} options - Build plan options (see createBuildPlan) and dialect (see createStreamingPlanner)
+ * @param {Object} hooks - Optional hooks
+ * @param {number} hooks.maxNodes - Stop adding preview nodes after this many (the stats still count everything)
+ * @param {Function} hooks.onProgress - Receives { bytesRead, totalBytes, tree } after each chunk;
+ *   tree is the preview root, filled in so far
+ * @returns {Promise<Object>} - Structure like parseJsonStructure plus previewTruncated and the
+ *   dialect the source needed; its plan has no entries, so the archive is written by planning
+ *   the source again
+ */
+async function parseJsonStream(source, options = {}, hooks = {}) {
+  const maxNodes = hooks.maxNodes ?? Infinity;
+  const planOptions = { rootName: 'project', ...options };
+  const tree = createTreeBuilder(planOptions.rootName, { includeContent: false });
+  let nodeCount = 0;
+  let previewTruncated = false;
+
+  const planner = createStreamingPlanner(planOptions, entry => {
+    if (nodeCount >= maxNodes) {
+      previewTruncated = true;
+    } else if (tree.add(entry)) {
+      nodeCount++;
+    }
+  });
+
+  await readJsonStream(source, text => planner.write(text), progress => {
+    hooks.onProgress?.({ ...progress, tree: tree.root });
+  });
+  const plan = planner.end();
+
+  return {
+    tree: tree.root,
+    compressionSummary: {},
+    stats: {
+      totalFiles: plan.stats.totalFiles,
+      totalFolders: plan.stats.totalFolders
+    },
+    extensionMismatches: plan.extensionMismatches,
+    pathConflicts: plan.pathConflicts,
+    previewTruncated,
+    dialect: planner.getDialect(),
+    plan: { ...plan, entries: [] }
+  };
+}
+
+function createWholeDocumentPlanner(options, onEntry) {
+  const date = options.date || (options.reproducible ? getSourceDate(options.sourceDateEpoch) : new Date());
+  const chunks = [];
+  let dialect = 'json';
+
+  return {
+    date,
+    compressionLevel: { ...DEFAULT_COMPRESSION_POLICY, ...options.compression }.level,
+    write: text => chunks.push(text),
+    end() {
+      const parsed = parseJsonText(chunks.join(''), options.dialect);
+      dialect = parsed.dialect;
+      const plan = createBuildPlan(parsed.data, { ...options, date });
+      plan.entries.forEach(onEntry);
+      return plan;
+    },
+    getDialect: () => dialect
+  };
+}
+
+export { requiresWholeDocument, createStreamingPlanner, parseJsonStream };
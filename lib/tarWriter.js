@@ -0,0 +1,208 @@
+/* EXPORTS: generateTarFromPlan, createTarStreamWriter */
+
+import pako from 'pako';
+import { getEntryBytes } from './checksums';
+import { concatBytes, toOutputType } from './binaryContent';
+
+const BLOCK_SIZE = 512;
+const DEFAULT_FILE_MODE = 0o644;
+const DEFAULT_FOLDER_MODE = 0o755;
+// Largest value of the 11 octal digits of the mtime field (the year 2242)
+const MAX_OCTAL_VALUE = 0o77777777777;
+// Length of the ustar name field
+const MAX_NAME_BYTES = 100;
+
+/**
+ * Writes every entry of a build plan into a POSIX (ustar) tar archive.
+ * Entry modes and dates from file directives are kept; other entries get
+ * 644/755 and the plan date. Paths that do not fit the ustar name fields
+ * and dates before 1970 are written with a PAX extended header.
+ * @param {Object} plan - Plan returned by createBuildPlan
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.gzip - Compress the archive as .tar.gz, at the plan's compression level
+ * @param {Date} options.date - Modification time for entries without $mtime (defaults to the plan date)
+ * @param {string} options.outputType - 'blob', 'nodebuffer', 'uint8array' or 'arraybuffer'
+ * @param {Function} options.onUpdate - Receives { percent, currentFile } after each entry, like JSZip
+ * @returns {Promise<Blob|Buffer|Uint8Array|ArrayBuffer>} - The generated archive
+ */
+async function generateTarFromPlan(plan, options = {}) {
+  const chunks = [];
+  const writer = createTarStreamWriter({
+    gzip: options.gzip,
+    level: plan.compressionLevel,
+    date: options.date || plan.date,
+    onData: chunk => chunks.push(chunk)
+  });
+  plan.entries.forEach((entry, index) => {
+    writer.addEntry(entry);
+    options.onUpdate?.({ percent: ((index + 1) / plan.entries.length) * 100, currentFile: entry.path });
+  });
+  writer.finish();
+
+  const mimeType = options.gzip ? 'application/gzip' : 'application/x-tar';
+  return toOutputType(concatBytes(chunks), options.outputType || 'blob', mimeType);
+}
+
+/**
+ * Creates a tar writer that outputs every entry as soon as it is added, so
+ * archives can be streamed
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.gzip - Compress the archive as .tar.gz
+ * @param {number} options.level - gzip level (defaults to 6)
+ * @param {Date} options.date - Modification time for entries without $mtime
+ * @param {Function} options.onData - Receives the archive as a sequence of Uint8Array chunks
+ * @returns {Object} - { addEntry(entry), finish() }
+ */
+function createTarStreamWriter(options) {
+  const date = options.date || new Date();
+  let output = options.onData;
+  let deflator = null;
+
+  if (options.gzip) {
+    deflator = new pako.Deflate({ gzip: true, level: options.level ?? 6 });
+    deflator.onData = options.onData;
+    output = bytes => deflator.push(bytes, false);
+  }
+
+  function addEntry(entry) {
+    const isFolder = entry.type === 'folder';
+    const path = isFolder ? `${entry.path}/` : entry.path;
+    const content = isFolder ? new Uint8Array(0) : getEntryBytes(entry);
+
+    output(concatBytes([
+      ...createHeaders(path, {
+        mode: entry.mode ?? (isFolder ? DEFAULT_FOLDER_MODE : DEFAULT_FILE_MODE),
+        size: content.length,
+        mtime: entry.date || date,
+        typeflag: isFolder ? '5' : '0'
+      }),
+      ...padToBlock(content)
+    ]));
+  }
+
+  function finish() {
+    // Two zero blocks mark the end of the archive
+    const end = new Uint8Array(BLOCK_SIZE * 2);
+    if (!deflator) {
+      output(end);
+      return;
+    }
+    deflator.push(end, true);
+    if (deflator.err) {
+      throw new Error(`gzip failed: ${deflator.msg}`);
+    }
+  }
+
+  return { addEntry, finish };
+}
+
+function createHeaders(path, fields) {
+  const nameBytes = encodeUtf8(path);
+  const split = splitUstarPath(nameBytes);
+  const mtime = Math.floor(fields.mtime.getTime() / 1000);
+
+  // Values that do not fit the ustar fields go into PAX records, which readers prefer over the header
+  const records = [];
+  if (!split) records.push(createPaxRecord('path', path));
+  if (mtime < 0 || mtime > MAX_OCTAL_VALUE) records.push(createPaxRecord('mtime', String(mtime)));
+
+  const clampedMtime = Math.min(Math.max(mtime, 0), MAX_OCTAL_VALUE);
+  const header = createHeader({
+    ...fields,
+    name: split ? split.name : nameBytes.slice(0, MAX_NAME_BYTES),
+    prefix: split ? split.prefix : new Uint8Array(0),
+    mtime: clampedMtime
+  });
+  if (records.length === 0) {
+    return [header];
+  }
+
+  const pax = concatBytes(records);
+  return [
+    createHeader({
+      name: getPaxHeaderName(path),
+      prefix: new Uint8Array(0),
+      mode: DEFAULT_FILE_MODE,
+      size: pax.length,
+      mtime: clampedMtime,
+      typeflag: 'x'
+    }),
+    ...padToBlock(pax),
+    header
+  ];
+}
+
+// PaxHeaders/<name> like GNU tar, for readers that do not know PAX and extract the header as a file
+function getPaxHeaderName(path) {
+  const chars = Array.from(`PaxHeaders/${path.replace(/\/$/, '').split('/').pop()}`);
+  let bytes = encodeUtf8(chars.join(''));
+  while (bytes.length > MAX_NAME_BYTES) {
+    chars.pop();
+    bytes = encodeUtf8(chars.join(''));
+  }
+  return bytes;
+}
+
+// "<length> <key>=<value>\n", where length counts itself
+function createPaxRecord(key, value) {
+  const bodyLength = encodeUtf8(` ${key}=${value}\n`).length;
+  let length = bodyLength + 1;
+  while (String(length).length + bodyLength !== length) {
+    length = String(length).length + bodyLength;
+  }
+  return encodeUtf8(`${length} ${key}=${value}\n`);
+}
+
+// ustar stores up to 155 bytes of folder prefix plus a 100 byte name
+function splitUstarPath(bytes) {
+  if (bytes.length <= MAX_NAME_BYTES) {
+    return { name: bytes, prefix: new Uint8Array(0) };
+  }
+
+  const slash = '/'.charCodeAt(0);
+  for (let i = bytes.length - 1; i > 0; i--) {
+    if (bytes[i] !== slash || i === bytes.length - 1) continue;
+    if (bytes.length - i - 1 <= MAX_NAME_BYTES && i <= 155) {
+      return { name: bytes.slice(i + 1), prefix: bytes.slice(0, i) };
+    }
+  }
+  return null;
+}
+
+function createHeader({ name, prefix, mode, size, mtime, typeflag }) {
+  const header = new Uint8Array(BLOCK_SIZE);
+
+  header.set(name, 0);
+  writeOctal(header, 100, 8, mode & 0o7777);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, mtime);
+  header.fill(0x20, 148, 156);
+  header[156] = typeflag.charCodeAt(0);
+  header.set(encodeUtf8('ustar\u000000'), 257);
+  header.set(prefix, 345);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeOctal(header, 148, 7, checksum);
+
+  return header;
+}
+
+// Zero-padded octal digits followed by a NUL terminator
+function writeOctal(header, offset, length, value) {
+  const digits = value.toString(8).padStart(length - 1, '0');
+  header.set(encodeUtf8(digits), offset);
+  header[offset + length - 1] = 0;
+}
+
+function padToBlock(bytes) {
+  const remainder = bytes.length % BLOCK_SIZE;
+  return remainder === 0 ? [bytes] : [bytes, new Uint8Array(BLOCK_SIZE - remainder)];
+}
+
+function encodeUtf8(text) {
+  return new TextEncoder().encode(text);
+}
+
+export { generateTarFromPlan, createTarStreamWriter };
@@ -0,0 +1,376 @@
+/* EXPORTS: parseToml */
+
+const BARE_KEY = /[A-Za-z0-9_-]+/y;
+const NUMBER = /[+-]?(inf|nan|0x[0-9A-Fa-f_]+|0o[0-7_]+|0b[01_]+|[0-9_]+(\.[0-9_]+)?([eE][+-]?[0-9_]+)?)/y;
+const DATE_TIME = /\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(\.\d+)?/y;
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+const RADIX = { x: 16, o: 8, b: 2 };
+
+/**
+ * Parses a TOML 1.0 document. Dates and times are kept as the strings
+ * written in the document, so the result only holds JSON types (plus
+ * Infinity and NaN for inf and nan) like the other input formats.
+ * @param {string} text - TOML document
+ * @returns {Object} - The document as a plain object; throws a SyntaxError with line and column
+ *   properties (starting at 1) on invalid TOML
+ */
+function parseToml(text) {
+  const root = {};
+  // Tables opened by a [header], which cannot be opened again
+  const headerTables = new WeakSet();
+  // Tables created by dotted keys (a.b = 1), which cannot be opened by a header
+  const dottedTables = new WeakSet();
+  // Inline tables and arrays, which cannot be extended after their value
+  const closedValues = new WeakSet();
+  // Arrays created by [[header]]
+  const tableArrays = new WeakSet();
+  let current = root;
+  let i = 0;
+
+  function fail(message, position = i) {
+    const before = text.slice(0, position);
+    const line = before.split('\n').length;
+    const column = position - before.lastIndexOf('\n');
+    const error = new SyntaxError(`${message} at line ${line}, column ${column}`);
+    error.line = line;
+    error.column = column;
+    throw error;
+  }
+
+  function skipSpace() {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  }
+
+  // Skips blank lines and comments, as allowed between array values
+  function skipBlank() {
+    for (;;) {
+      skipSpace();
+      if (text[i] === '#') {
+        while (i < text.length && text[i] !== '\n') i++;
+      } else if (text[i] === '\n' || text.startsWith('\r\n', i)) {
+        i += text[i] === '\n' ? 1 : 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  function expectLineEnd() {
+    skipSpace();
+    if (text[i] === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    }
+    if (i >= text.length) return;
+    if (text[i] === '\n') {
+      i++;
+    } else if (text.startsWith('\r\n', i)) {
+      i += 2;
+    } else {
+      fail(`Expected the end of the line, found "${text[i]}"`);
+    }
+  }
+
+  function isTable(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function parseKey() {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      if (text[i] === '"') {
+        parts.push(parseBasicString());
+      } else if (text[i] === '\'') {
+        parts.push(parseLiteralString());
+      } else {
+        BARE_KEY.lastIndex = i;
+        if (!BARE_KEY.test(text)) fail(text[i] === undefined ? 'Expected a key' : `Unexpected "${text[i]}" in key`);
+        parts.push(text.slice(i, BARE_KEY.lastIndex));
+        i = BARE_KEY.lastIndex;
+      }
+      skipSpace();
+      if (text[i] !== '.') return parts;
+      i++;
+    }
+  }
+
+  // Follows a dotted key or header from a table, creating the missing tables
+  function descend(table, parts, start, isDottedKey = false) {
+    return parts.reduce((parent, part) => {
+      if (!Object.prototype.hasOwnProperty.call(parent, part)) {
+        parent[part] = {};
+        if (isDottedKey) {
+          dottedTables.add(parent[part]);
+        }
+      }
+      let child = parent[part];
+      if (tableArrays.has(child)) {
+        child = child[child.length - 1];
+      }
+      if (!isTable(child) || closedValues.has(child)) {
+        fail(`Cannot add keys to "${part}", it is already defined as a value`, start);
+      }
+      if (isDottedKey && headerTables.has(child)) {
+        fail(`Cannot add keys to "${part}" with a dotted key, it is already defined as a table`, start);
+      }
+      return child;
+    }, table);
+  }
+
+  function assignKeyValue(table, start) {
+    const parts = parseKey();
+    if (text[i] !== '=') fail(`Expected "=" after key "${parts.join('.')}"`);
+    i++;
+    skipSpace();
+    const value = parseValue();
+    const parent = descend(table, parts.slice(0, -1), start, true);
+    const key = parts[parts.length - 1];
+    if (Object.prototype.hasOwnProperty.call(parent, key)) {
+      fail(`Duplicate key "${parts.join('.')}"`, start);
+    }
+    parent[key] = value;
+  }
+
+  function parseHeader() {
+    const start = i;
+    const isArray = text.startsWith('[[', i);
+    i += isArray ? 2 : 1;
+    const parts = parseKey();
+    if (!text.startsWith(isArray ? ']]' : ']', i)) fail(`Expected "${isArray ? ']]' : ']'}" to close the table header`);
+    i += isArray ? 2 : 1;
+
+    const parent = descend(root, parts.slice(0, -1), start);
+    const key = parts[parts.length - 1];
+    const existing = Object.prototype.hasOwnProperty.call(parent, key) ? parent[key] : undefined;
+
+    if (isArray) {
+      if (existing === undefined) {
+        parent[key] = [];
+        tableArrays.add(parent[key]);
+      } else if (!tableArrays.has(existing)) {
+        fail(`Cannot define "${parts.join('.')}" as an array of tables, it is already defined`, start);
+      }
+      current = {};
+      parent[key].push(current);
+    } else {
+      if (existing === undefined) {
+        parent[key] = {};
+      } else if (!isTable(existing) || headerTables.has(existing) || dottedTables.has(existing) || closedValues.has(existing)) {
+        fail(`Table "${parts.join('.')}" is already defined`, start);
+      }
+      current = parent[key];
+    }
+    headerTables.add(current);
+  }
+
+  function parseValue() {
+    const char = text[i];
+    if (text.startsWith('"""', i)) return parseMultilineString('"""');
+    if (text.startsWith('\'\'\'', i)) return parseMultilineString('\'\'\'');
+    if (char === '"') return parseBasicString();
+    if (char === '\'') return parseLiteralString();
+    if (char === '[') return parseArray();
+    if (char === '{') return parseInlineTable();
+    if (text.startsWith('true', i)) {
+      i += 4;
+      return true;
+    }
+    if (text.startsWith('false', i)) {
+      i += 5;
+      return false;
+    }
+
+    DATE_TIME.lastIndex = i;
+    if (DATE_TIME.test(text)) {
+      const value = text.slice(i, DATE_TIME.lastIndex);
+      i = DATE_TIME.lastIndex;
+      return value;
+    }
+
+    NUMBER.lastIndex = i;
+    if (NUMBER.test(text)) {
+      const start = i;
+      i = NUMBER.lastIndex;
+      return parseNumber(text.slice(start, i), start);
+    }
+
+    return fail(char === undefined || char === '\n' || char === '\r' ? 'Expected a value' : `Unexpected "${char}", expected a value`);
+  }
+
+  function parseNumber(token, start) {
+    const sign = token[0] === '-' ? -1 : 1;
+    const digits = token.replace(/^[+-]/, '');
+
+    if (digits === 'inf') return sign * Infinity;
+    if (digits === 'nan') return NaN;
+    // Underscores must sit between two digits
+    if (/(^|[^0-9A-Fa-f])_|_($|[^0-9A-Fa-f])/.test(digits.replace(/^0[xob]/, ''))) {
+      fail(`Invalid number "${token}"`, start);
+    }
+
+    const plain = digits.replace(/_/g, '');
+    if (/^0[xob]/.test(plain)) {
+      if (digits !== token) fail(`Invalid number "${token}", only decimal numbers may have a sign`, start);
+      return parseInt(plain.slice(2), RADIX[plain[1]]);
+    }
+    if (/^0\d/.test(plain)) {
+      fail(`Invalid number "${token}", leading zeros are not allowed`, start);
+    }
+    return sign * Number(plain);
+  }
+
+  function parseEscape() {
+    const char = text[i + 1];
+    if (ESCAPES[char] !== undefined) {
+      i += 2;
+      return ESCAPES[char];
+    }
+    if (char === 'u' || char === 'U') {
+      const length = char === 'u' ? 4 : 8;
+      const hex = text.slice(i + 2, i + 2 + length);
+      if (!new RegExp(`^[0-9A-Fa-f]{${length}}$`).test(hex)) fail(`Invalid unicode escape "\\${char}${hex}"`);
+      const codePoint = parseInt(hex, 16);
+      if (codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) fail(`Invalid unicode escape "\\${char}${hex}"`);
+      i += 2 + length;
+      return String.fromCodePoint(codePoint);
+    }
+    return fail(`Invalid escape "\\${char ?? ''}"`);
+  }
+
+  function parseBasicString() {
+    const start = i;
+    const parts = [];
+    i++;
+    for (;;) {
+      const char = text[i];
+      if (char === undefined || char === '\n' || char === '\r') fail('Unterminated string', start);
+      if (char === '"') break;
+      if (char === '\\') {
+        parts.push(parseEscape());
+        continue;
+      }
+      if (char < ' ' && char !== '\t') fail('Control characters must be escaped in strings');
+      parts.push(char);
+      i++;
+    }
+    i++;
+    return parts.join('');
+  }
+
+  function parseLiteralString() {
+    const start = i;
+    const end = text.indexOf('\'', i + 1);
+    const newline = text.indexOf('\n', i + 1);
+    if (end === -1 || (newline !== -1 && newline < end)) fail('Unterminated string', start);
+    i = end + 1;
+    return text.slice(start + 1, end);
+  }
+
+  function parseMultilineString(quotes) {
+    const start = i;
+    const isBasic = quotes === '"""';
+    const parts = [];
+    i += 3;
+    // A line break right after the opening quotes is not part of the string
+    if (text[i] === '\n') {
+      i++;
+    } else if (text.startsWith('\r\n', i)) {
+      i += 2;
+    }
+
+    for (;;) {
+      if (i >= text.length) fail('Unterminated string', start);
+      if (text.startsWith(quotes, i)) {
+        // Up to two quotes may come right before the closing ones
+        let extra = 0;
+        while (extra < 2 && text[i + 3 + extra] === quotes[0]) extra++;
+        parts.push(quotes[0].repeat(extra));
+        i += 3 + extra;
+        return parts.join('');
+      }
+
+      const char = text[i];
+      if (isBasic && char === '\\') {
+        // A backslash at the end of a line trims the line break and the whitespace after it
+        const trimmed = /[ \t]*\r?\n[ \t\r\n]*/y;
+        trimmed.lastIndex = i + 1;
+        if (trimmed.test(text)) {
+          i = trimmed.lastIndex;
+        } else {
+          parts.push(parseEscape());
+        }
+        continue;
+      }
+      if (char < ' ' && char !== '\t' && char !== '\n' && char !== '\r') {
+        fail('Control characters must be escaped in strings');
+      }
+      parts.push(char);
+      i++;
+    }
+  }
+
+  function parseArray() {
+    const array = [];
+    i++;
+    for (;;) {
+      skipBlank();
+      if (text[i] === ']') break;
+      array.push(parseValue());
+      skipBlank();
+      if (text[i] === ',') {
+        i++;
+      } else if (text[i] !== ']') {
+        fail(text[i] === undefined ? 'Unterminated array' : `Expected "," or "]" in array, found "${text[i]}"`);
+      }
+    }
+    i++;
+    closedValues.add(array);
+    return array;
+  }
+
+  function parseInlineTable() {
+    const table = {};
+    i++;
+    skipSpace();
+    if (text[i] === '}') {
+      i++;
+      closedValues.add(table);
+      return table;
+    }
+
+    for (;;) {
+      assignKeyValue(table, i);
+      skipSpace();
+      if (text[i] === '}') break;
+      if (text[i] !== ',') {
+        fail(text[i] === undefined || text[i] === '\n' ? 'Inline tables must be closed on the same line' : `Expected "," or "}" in inline table, found "${text[i]}"`);
+      }
+      i++;
+    }
+    i++;
+
+    // Tables made by dotted keys inside are closed as well
+    const close = (value) => {
+      closedValues.add(value);
+      Object.values(value).filter(isTable).forEach(close);
+    };
+    close(table);
+    return table;
+  }
+
+  if (text.charCodeAt(0) === 0xfeff) i++;
+  for (;;) {
+    skipBlank();
+    if (i >= text.length) break;
+    if (text[i] === '[') {
+      parseHeader();
+    } else {
+      assignKeyValue(current, i);
+    }
+    expectLineEnd();
+  }
+
+  return root;
+}
+
+export { parseToml };
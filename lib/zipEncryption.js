@@ -0,0 +1,280 @@
+/* EXPORTS: crc32, createZipCryptoEncryptor, encryptWinZipAes, AES_SALT_LENGTH */
+
+// Pure JavaScript so encrypted archives are written the same way in the
+// browser and on the server, without depending on a secure context
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * Computes the CRC-32 used by ZIP entries
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/* ZipCrypto (traditional PKWARE encryption) */
+
+/**
+ * Creates a ZipCrypto encryptor for one entry. Each entry starts from the
+ * password keys again, so a new encryptor is needed per entry.
+ * @param {Uint8Array} password - Password bytes
+ * @returns {Function} - (bytes: Uint8Array) => encrypted copy
+ */
+function createZipCryptoEncryptor(password) {
+  const keys = new Uint32Array([0x12345678, 0x23456789, 0x34567890]);
+
+  function updateKeys(byte) {
+    keys[0] = CRC_TABLE[(keys[0] ^ byte) & 0xff] ^ (keys[0] >>> 8);
+    keys[1] = Math.imul((keys[1] + (keys[0] & 0xff)) >>> 0, 134775813) + 1;
+    keys[2] = CRC_TABLE[(keys[2] ^ (keys[1] >>> 24)) & 0xff] ^ (keys[2] >>> 8);
+  }
+
+  password.forEach(updateKeys);
+
+  return bytes => {
+    const output = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+      const temp = (keys[2] | 2) & 0xffff;
+      output[i] = bytes[i] ^ ((Math.imul(temp, temp ^ 1) >>> 8) & 0xff);
+      updateKeys(bytes[i]);
+    }
+    return output;
+  };
+}
+
+/* AES-256 (encryption only, as WinZip AES uses CTR mode) */
+
+const SBOX = new Uint8Array(256);
+
+function xtime(value) {
+  return ((value << 1) ^ (value & 0x80 ? 0x1b : 0)) & 0xff;
+}
+
+(function buildSbox() {
+  const exp = new Uint8Array(256);
+  const log = new Uint8Array(256);
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    exp[i] = value;
+    log[value] = i;
+    value ^= xtime(value);
+  }
+
+  const rotl8 = (byte, shift) => ((byte << shift) | (byte >>> (8 - shift))) & 0xff;
+  for (let i = 0; i < 256; i++) {
+    const inverse = i === 0 ? 0 : exp[(255 - log[i]) % 255];
+    SBOX[i] = inverse ^ rotl8(inverse, 1) ^ rotl8(inverse, 2) ^ rotl8(inverse, 3) ^ rotl8(inverse, 4) ^ 0x63;
+  }
+})();
+
+function expandAes256Key(key) {
+  const roundKeys = new Uint8Array(240);
+  roundKeys.set(key);
+  let rcon = 1;
+
+  for (let i = 32; i < 240; i += 4) {
+    let t = [roundKeys[i - 4], roundKeys[i - 3], roundKeys[i - 2], roundKeys[i - 1]];
+    if (i % 32 === 0) {
+      t = [SBOX[t[1]] ^ rcon, SBOX[t[2]], SBOX[t[3]], SBOX[t[0]]];
+      rcon = xtime(rcon);
+    } else if (i % 32 === 16) {
+      t = t.map(byte => SBOX[byte]);
+    }
+    for (let j = 0; j < 4; j++) {
+      roundKeys[i + j] = roundKeys[i - 32 + j] ^ t[j];
+    }
+  }
+
+  return roundKeys;
+}
+
+function encryptAesBlock(roundKeys, input, output) {
+  const state = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    state[i] = input[i] ^ roundKeys[i];
+  }
+
+  const shifted = new Uint8Array(16);
+  for (let round = 1; round <= 14; round++) {
+    // SubBytes and ShiftRows; the state is column-major (byte r + 4c)
+    for (let c = 0; c < 4; c++) {
+      for (let r = 0; r < 4; r++) {
+        shifted[r + 4 * c] = SBOX[state[r + 4 * ((c + r) % 4)]];
+      }
+    }
+
+    if (round < 14) {
+      for (let c = 0; c < 16; c += 4) {
+        const [a0, a1, a2, a3] = [shifted[c], shifted[c + 1], shifted[c + 2], shifted[c + 3]];
+        shifted[c] = xtime(a0) ^ xtime(a1) ^ a1 ^ a2 ^ a3;
+        shifted[c + 1] = a0 ^ xtime(a1) ^ xtime(a2) ^ a2 ^ a3;
+        shifted[c + 2] = a0 ^ a1 ^ xtime(a2) ^ xtime(a3) ^ a3;
+        shifted[c + 3] = xtime(a0) ^ a0 ^ a1 ^ a2 ^ xtime(a3);
+      }
+    }
+
+    for (let i = 0; i < 16; i++) {
+      state[i] = shifted[i] ^ roundKeys[round * 16 + i];
+    }
+  }
+
+  output.set(state);
+}
+
+/* SHA-1, HMAC-SHA1 and PBKDF2 for the WinZip AES key derivation */
+
+function sha1(bytes) {
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+  const hash = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+  const w = new Uint32Array(80);
+  const rotl = (value, bits) => (value << bits) | (value >>> (32 - bits));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 80; i++) {
+      w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+
+    let [a, b, c, d, e] = hash;
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const temp = (rotl(a, 5) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30) >>> 0;
+      b = a;
+      a = temp;
+    }
+
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+    hash[4] += e;
+  }
+
+  const digest = new Uint8Array(20);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+}
+
+function hmacSha1(key, message) {
+  const blockKey = new Uint8Array(64);
+  blockKey.set(key.length > 64 ? sha1(key) : key);
+
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 20);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = blockKey[i] ^ 0x36;
+    outer[i] = blockKey[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha1(inner), 64);
+  return sha1(outer);
+}
+
+function pbkdf2Sha1(password, salt, iterations, length) {
+  const output = new Uint8Array(length);
+  const blockSalt = new Uint8Array(salt.length + 4);
+  blockSalt.set(salt);
+
+  for (let block = 1, offset = 0; offset < length; block++, offset += 20) {
+    new DataView(blockSalt.buffer).setUint32(salt.length, block);
+    let u = hmacSha1(password, blockSalt);
+    const t = u.slice();
+    for (let i = 1; i < iterations; i++) {
+      u = hmacSha1(password, u);
+      for (let j = 0; j < 20; j++) {
+        t[j] ^= u[j];
+      }
+    }
+    output.set(t.subarray(0, Math.min(20, length - offset)), offset);
+  }
+
+  return output;
+}
+
+/* WinZip AES (AE-2) */
+
+const AES_SALT_LENGTH = 16;
+const AES_KEY_LENGTH = 32;
+const PBKDF2_ITERATIONS = 1000;
+
+/**
+ * Encrypts entry data with WinZip AES-256. The result is the salt, the
+ * password verifier, the AES-CTR ciphertext and the 10 byte authentication code.
+ * @param {Uint8Array} data - Compressed entry data
+ * @param {Uint8Array} password - Password bytes
+ * @param {Uint8Array} salt - 16 random bytes
+ * @returns {Uint8Array} - Encrypted entry data
+ */
+function encryptWinZipAes(data, password, salt) {
+  const derived = pbkdf2Sha1(password, salt, PBKDF2_ITERATIONS, AES_KEY_LENGTH * 2 + 2);
+  const roundKeys = expandAes256Key(derived.subarray(0, AES_KEY_LENGTH));
+  const authKey = derived.subarray(AES_KEY_LENGTH, AES_KEY_LENGTH * 2);
+  const verifier = derived.subarray(AES_KEY_LENGTH * 2);
+
+  // WinZip uses a little-endian block counter starting at 1
+  const ciphertext = new Uint8Array(data.length);
+  const counter = new Uint8Array(16);
+  const keystream = new Uint8Array(16);
+  for (let offset = 0; offset < data.length; offset += 16) {
+    for (let i = 0; i < 16; i++) {
+      counter[i]++;
+      if (counter[i] !== 0) break;
+    }
+    encryptAesBlock(roundKeys, counter, keystream);
+    const end = Math.min(offset + 16, data.length);
+    for (let i = offset; i < end; i++) {
+      ciphertext[i] = data[i] ^ keystream[i - offset];
+    }
+  }
+
+  const authCode = hmacSha1(authKey, ciphertext).subarray(0, 10);
+
+  const output = new Uint8Array(salt.length + 2 + ciphertext.length + 10);
+  output.set(salt, 0);
+  output.set(verifier, salt.length);
+  output.set(ciphertext, salt.length + 2);
+  output.set(authCode, salt.length + 2 + ciphertext.length);
+  return output;
+}
+
+export { crc32, createZipCryptoEncryptor, encryptWinZipAes, AES_SALT_LENGTH };
@@ -1,34 +1,23 @@
-/* EXPORTS: generateZipFromJson, createFileStructure, downloadZip, generateZipFile */
+/* EXPORTS: ARCHIVE_FORMATS, generateZipFromJson, generateArchiveFromPlan, generateArchiveFromStream, createArchiveWriter, generateZipFromPlan, getArchiveFileName, createFileStructure, downloadZip */
 
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
+import { createBuildPlan, buildTreeFromPlan } from './buildPlan';
+import { DEFAULT_NAMING_CONFIG } from './fileNaming';
+import { generateTarFromPlan, createTarStreamWriter } from './tarWriter';
+import { generateEncryptedZipFromPlan } from './encryptedZipWriter';
+import { createZipStreamWriter } from './zipStreamWriter';
+import { createStreamingPlanner } from './streamingPlan';
+import { readJsonStream } from './jsonParser';
 
 /**
- * Main function expected by index.js - generates and downloads ZIP file
- * @param {Object} parsedStructure - The parsed structure from parseJsonStructure
- * @param {string} jsonInput - Original JSON input string
- * @param {string} filename - Optional filename for the ZIP
+ * Supported archive formats, keyed by the value of the "format" option
  */
-export async function generateZipFile(parsedStructure, jsonInput, filename = 'converted-json.zip') {
-  try {
-    // Parse the original JSON to get the raw data
-    const jsonData = JSON.parse(jsonInput);
-    
-    // Generate the ZIP blob using existing function
-    const zipBlob = await generateZipFromJson(jsonData, 'project', {
-      includeMetadata: true,
-      createReadme: true,
-      timestampFiles: false
-    });
-    
-    // Download the ZIP file
-    downloadZip(zipBlob, filename);
-    
-  } catch (error) {
-    console.error('Error generating ZIP file:', error);
-    throw new Error(`Failed to generate ZIP: ${error.message}`);
-  }
-}
+export const ARCHIVE_FORMATS = {
+  zip: { label: 'ZIP', extension: '.zip', mimeType: 'application/zip' },
+  tar: { label: 'TAR', extension: '.tar', mimeType: 'application/x-tar' },
+  'tar.gz': { label: 'TAR.GZ', extension: '.tar.gz', mimeType: 'application/gzip' }
+};
 
 /**
  * Generates a ZIP file from a JSON structure
@@ -38,285 +27,237 @@ export async function generateZipFile(parsedStructure, jsonInput, filename = 'co
  * @returns {Promise<Blob>} - The generated ZIP blob
  */
 export async function generateZipFromJson(jsonData, rootName = 'output', options = {}) {
-  const zip = new JSZip();
   const config = {
     includeMetadata: true,
-    fileExtension: '.json',
     createReadme: true,
     timestampFiles: false,
+    naming: null,
+    expandPaths: false,
+    includeManifest: false,
+    reproducible: false,
+    sourceDateEpoch: undefined,
+    includeChecksums: false,
+    compression: null,
+    format: 'zip',
+    encryption: null,
+    password: '',
+    outputType: 'blob',
     ...options
   };
 
-  // Create root folder
-  const rootFolder = zip.folder(rootName);
-
-  // Process the JSON structure
-  await processJsonNode(rootFolder, jsonData, '', config);
-
-  // Add README if requested
-  if (config.createReadme) {
-    const readmeContent = generateReadmeContent(jsonData, rootName);
-    rootFolder.file('README.md', readmeContent);
-  }
-
-  // Add metadata file if requested
-  if (config.includeMetadata) {
-    const metadata = generateMetadata(jsonData, rootName);
-    rootFolder.file('_metadata.json', JSON.stringify(metadata, null, 2));
-  }
+  // timestampFiles is kept as a shorthand for an ISO timestamp naming config
+  const naming = config.naming || (config.timestampFiles
+    ? { ...DEFAULT_NAMING_CONFIG, useTimestamp: true, timestampFormat: 'iso' }
+    : null);
 
-  // Generate the ZIP blob
-  const zipBlob = await zip.generateAsync({
-    type: 'blob',
-    compression: 'DEFLATE',
-    compressionOptions: { level: 6 }
+  const plan = createBuildPlan(jsonData, {
+    rootName,
+    includeMetadata: config.includeMetadata,
+    createReadme: config.createReadme,
+    naming,
+    expandPaths: config.expandPaths,
+    includeManifest: config.includeManifest,
+    reproducible: config.reproducible,
+    sourceDateEpoch: config.sourceDateEpoch,
+    includeChecksums: config.includeChecksums,
+    compression: config.compression
   });
 
-  return zipBlob;
+  return generateArchiveFromPlan(plan, {
+    format: config.format,
+    encryption: config.encryption,
+    password: config.password,
+    outputType: config.outputType,
+    onUpdate: config.onUpdate
+  });
 }
 
 /**
- * Recursively processes JSON nodes to create file structure
+ * Writes a build plan in the requested archive format
+ * @param {Object} plan - Plan returned by createBuildPlan
+ * @param {Object} options - Configuration options
+ * @param {string} options.format - 'zip', 'tar' or 'tar.gz'
+ * @param {string} options.encryption - 'zipcrypto' or 'aes256' (ZIP only)
+ * @param {string} options.password - Password for encrypted ZIPs
+ * @param {string} options.outputType - Output type ('blob', 'nodebuffer', ...)
+ * @param {Function} options.onUpdate - Receives { percent, currentFile } as entries are written
+ * @returns {Promise<Blob|Buffer>} - The generated archive
  */
-async function processJsonNode(folder, data, path, config) {
-  if (data === null || data === undefined) {
-    folder.file(sanitizeFileName(`null${getSmartFileExtension(data)}`), 'null');
-    return;
+export async function generateArchiveFromPlan(plan, options = {}) {
+  const format = options.format || 'zip';
+
+  if (options.encryption && format !== 'zip') {
+    throw new Error(`Encryption is only supported for ZIP archives, not "${format}"`);
   }
 
-  if (Array.isArray(data)) {
-    if (data.length === 0) {
-      folder.file('empty_array.json', '[]');
-      return;
-    }
-    for (let i = 0; i < data.length; i++) {
-      const itemName = `item_${i.toString().padStart(3, '0')}`;
-      if (typeof data[i] === 'object' && data[i] !== null) {
-        const subFolder = folder.folder(itemName);
-        await processJsonNode(subFolder, data[i], `${path}/${itemName}`, config);
-      } else {
-        const ext = getSmartFileExtension(data[i]);
-        folder.file(
-          sanitizeFileName(`${itemName}${ext}`),
-          typeof data[i] === 'string' ? data[i] : JSON.stringify(data[i], null, 2)
-        );
-      }
-    }
-  } else if (typeof data === 'object') {
-    const keys = Object.keys(data);
-    if (keys.length === 0) {
-      folder.file('empty_object.json', '{}');
-      return;
-    }
-    for (const key of keys) {
-      const sanitizedKey = sanitizeFileName(key);
-      const value = data[key];
-      if (typeof value === 'object' && value !== null) {
-        if (Array.isArray(value) || Object.keys(value).length > 0) {
-          const subFolder = folder.folder(sanitizedKey);
-          await processJsonNode(subFolder, value, `${path}/${sanitizedKey}`, config);
-        } else {
-          folder.file(`${sanitizedKey}.json`, JSON.stringify(value, null, 2));
-        }
-      } else {
-        const content = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
-        const ext = getSmartFileExtension(value);
-        
-        if (config.timestampFiles) {
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          folder.file(`${sanitizedKey}_${timestamp}${ext}`, content);
-        } else {
-          folder.file(`${sanitizedKey}${ext}`, content);
-        }
-      }
-    }
-  } else {
-    const ext = getSmartFileExtension(data);
-    folder.file(
-      sanitizeFileName(`value${ext}`),
-      typeof data === 'string' ? data : JSON.stringify(data, null, 2)
-    );
+  switch (format) {
+    case 'zip':
+      return options.encryption
+        ? generateEncryptedZipFromPlan(plan, options)
+        : generateZipFromPlan(plan, options);
+    case 'tar':
+    case 'tar.gz':
+      return generateTarFromPlan(plan, { ...options, gzip: format === 'tar.gz' });
+    default:
+      throw new Error(`Unsupported archive format "${format}" (expected ${Object.keys(ARCHIVE_FORMATS).join(', ')})`);
   }
 }
 
 /**
- * Smart file extension detection based on content
- * @param {any} value - The value to analyze
- * @returns {string} - Appropriate file extension
+ * Plans and writes a JSON document read from a File, Blob or ReadableStream,
+ * handing each entry to the archive writer as soon as it is planned, so the
+ * parsed document never exists in memory; only the compressed archive does.
+ * Like the /api/generate-zip route, ZIPs are written by createArchiveWriter.
+ * @param {Blob|ReadableStream} source - JSON document
+ * @param {Object} options - Configuration options
+ * @param {Object} options.plan - Build plan options (see createBuildPlan)
+ * @param {string} options.format - 'zip', 'tar' or 'tar.gz'
+ * @param {string} options.encryption - 'zipcrypto' or 'aes256' (ZIP only)
+ * @param {string} options.password - Password for encrypted ZIPs
+ * @param {Function} options.onUpdate - Receives { percent, currentFile }; percent is the share of
+ *   the source read so far, or 0 when its length is unknown
+ * @returns {Promise<Blob>} - The generated archive
  */
-function getSmartFileExtension(value) {
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    
-    // Check for HTML
-    if (trimmed.startsWith('<') && trimmed.endsWith('>')) {
-      return '.html';
-    }
-    
-    // Check for CSS
-    if (trimmed.includes('{') && trimmed.includes('}') && trimmed.includes(':')) {
-      return '.css';
-    }
-    
-    // Check for JavaScript
-    if (trimmed.includes('function') || trimmed.includes('=>') || 
-        trimmed.includes('const ') || trimmed.includes('let ') || 
-        trimmed.includes('var ') || trimmed.includes('import ')) {
-      return '.js';
-    }
-    
-    // Check for JSON
-    try {
-      JSON.parse(value);
-      return '.json';
-    } catch {
-      // Not JSON, check for other formats
-    }
-    
-    // Check for Markdown
-    if (trimmed.includes('#') || trimmed.includes('**') || trimmed.includes('##')) {
-      return '.md';
-    }
-    
-    // Default to .txt for strings
-    return '.txt';
-  }
-  
-  // Non-strings default to .json
-  return '.json';
-}
+export async function generateArchiveFromStream(source, options = {}) {
+  const format = options.format || 'zip';
+  const entries = [];
+  const chunks = [];
+  let currentFile = null;
 
-/** Sanitize file names */
-function sanitizeFileName(fileName) {
-  return fileName
-    .replace(/[<>:"/\\|?*]/g, '_')
-    .replace(/\s+/g, '_')
-    .replace(/_+/g, '_')
-    .replace(/^_|_$/g, '')
-    .substring(0, 255);
-}
+  const planner = createStreamingPlanner(options.plan || {}, entry => entries.push(entry));
+  const writer = createArchiveWriter(format, {
+    encryption: options.encryption,
+    password: options.password,
+    date: planner.date,
+    compressionLevel: planner.compressionLevel,
+    onData: chunk => chunks.push(chunk)
+  });
 
-/** Generate README content */
-function generateReadmeContent(jsonData, rootName) {
-  const stats = analyzeJsonStructure(jsonData);
-  const timestamp = new Date().toISOString();
-  return `# ${rootName}
+  const writeEntries = () => {
+    entries.splice(0).forEach(entry => {
+      writer.addEntry(entry);
+      currentFile = entry.path;
+    });
+  };
 
-Generated from JSON structure on ${timestamp}
+  await readJsonStream(source, text => {
+    planner.write(text);
+    writeEntries();
+  }, ({ bytesRead, totalBytes }) => {
+    options.onUpdate?.({ percent: totalBytes ? (bytesRead / totalBytes) * 100 : 0, currentFile });
+  });
 
-## Structure Overview
-- **Total Objects**: ${stats.objectCount}
-- **Total Arrays**: ${stats.arrayCount}
-- **Total Files**: ${stats.fileCount}
-- **Max Depth**: ${stats.maxDepth}
+  planner.end();
+  writeEntries();
+  writer.finish();
 
-## File Organization
-- Objects become folders
-- Arrays become numbered item folders
-- Primitive values become individual files with smart extensions
-- Empty objects/arrays are preserved as special files
+  return new Blob(chunks, { type: ARCHIVE_FORMATS[format].mimeType });
+}
 
-## Smart File Extensions
-- JavaScript code → .js
-- HTML content → .html
-- CSS styles → .css
-- JSON data → .json
-- Markdown → .md
-- Other text → .txt
+/**
+ * Creates a writer that outputs an archive entry by entry, for streaming.
+ * Unlike generateArchiveFromPlan, ZIP archives are not written by JSZip, so
+ * the bytes differ from a browser download of the same plan.
+ * @param {string} format - 'zip', 'tar' or 'tar.gz'
+ * @param {Object} options - Configuration options
+ * @param {string} options.encryption - 'zipcrypto' or 'aes256' (ZIP only)
+ * @param {string} options.password - Password for encrypted ZIPs
+ * @param {Date} options.date - Modification time for entries without $mtime (the plan date)
+ * @param {number} options.compressionLevel - gzip level for tar.gz (the plan's compression level)
+ * @param {Function} options.onData - Receives the archive as a sequence of Uint8Array chunks
+ * @returns {Object} - { addEntry(entry), finish() }
+ */
+export function createArchiveWriter(format, options) {
+  if (options.encryption && format !== 'zip') {
+    throw new Error(`Encryption is only supported for ZIP archives, not "${format}"`);
+  }
 
-Generated by JSON to ZIP Converter`;
+  switch (format) {
+    case 'zip':
+      return createZipStreamWriter(options);
+    case 'tar':
+    case 'tar.gz':
+      return createTarStreamWriter({ ...options, gzip: format === 'tar.gz', level: options.compressionLevel });
+    default:
+      throw new Error(`Unsupported archive format "${format}" (expected ${Object.keys(ARCHIVE_FORMATS).join(', ')})`);
+  }
 }
 
-/** Generate metadata */
-function generateMetadata(jsonData, rootName) {
-  const stats = analyzeJsonStructure(jsonData);
-  return {
-    generatedAt: new Date().toISOString(),
-    rootName,
-    originalSize: JSON.stringify(jsonData).length,
-    statistics: stats,
-    version: '1.0.0',
-    features: {
-      smartExtensions: true,
-      sanitizedNames: true,
-      structurePreservation: true
+/**
+ * Replaces a known archive extension in a file name with the one for a format
+ * @param {string} filename - File name such as "converted-json.zip"
+ * @param {string} format - 'zip', 'tar' or 'tar.gz'
+ * @returns {string} - File name such as "converted-json.tar.gz"
+ */
+export function getArchiveFileName(filename, format = 'zip') {
+  const baseName = filename.replace(/\.(zip|tar\.gz|tgz|tar)$/i, '');
+  return `${baseName}${ARCHIVE_FORMATS[format]?.extension || '.zip'}`;
+}
+
+/**
+ * Writes every entry of a build plan into a ZIP archive
+ * @param {Object} plan - Plan returned by createBuildPlan
+ * @param {Object} options - Configuration options
+ * @param {string} options.outputType - JSZip output type ('blob', 'nodebuffer', ...)
+ * @param {Function} options.onUpdate - JSZip progress callback, receives { percent, currentFile }
+ * @returns {Promise<Blob|Buffer>} - The generated ZIP
+ */
+export async function generateZipFromPlan(plan, options = {}) {
+  const zip = new JSZip();
+  // Entries without $mtime share the plan date, so reproducible plans give identical bytes
+  const date = plan.date || new Date();
+
+  plan.entries.forEach(entry => {
+    if (entry.type === 'folder') {
+      zip.file(`${entry.path}/`, null, { dir: true, date });
+    } else {
+      zip.file(entry.path, entry.content, getZipFileOptions(entry, date));
     }
-  };
+  });
+
+  // Unix permissions are only written when the archive is generated for UNIX
+  const hasModes = plan.entries.some(entry => entry.mode !== undefined);
+
+  return zip.generateAsync({
+    type: options.outputType || 'blob',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 },
+    platform: hasModes ? 'UNIX' : 'DOS'
+  }, options.onUpdate);
 }
 
-/** Analyze JSON structure */
-function analyzeJsonStructure(data, depth = 0) {
-  const stats = { objectCount: 0, arrayCount: 0, fileCount: 0, maxDepth: depth };
-  
-  if (Array.isArray(data)) {
-    stats.arrayCount = 1;
-    data.forEach(item => {
-      const sub = analyzeJsonStructure(item, depth + 1);
-      stats.objectCount += sub.objectCount;
-      stats.arrayCount += sub.arrayCount;
-      stats.fileCount += sub.fileCount;
-      stats.maxDepth = Math.max(stats.maxDepth, sub.maxDepth);
-    });
-  } else if (typeof data === 'object' && data !== null) {
-    stats.objectCount = 1;
-    Object.values(data).forEach(v => {
-      const sub = analyzeJsonStructure(v, depth + 1);
-      stats.objectCount += sub.objectCount;
-      stats.arrayCount += sub.arrayCount;
-      stats.fileCount += sub.fileCount;
-      stats.maxDepth = Math.max(stats.maxDepth, sub.maxDepth);
-    });
-  } else {
-    stats.fileCount = 1;
+/**
+ * Maps the compression setting and file directive attributes of a plan entry to JSZip file options
+ * @param {Object} entry - File entry from the build plan
+ * @param {Date} planDate - Date used when the entry has no $mtime
+ * @returns {Object} - JSZip file options
+ */
+function getZipFileOptions(entry, planDate) {
+  const fileOptions = { date: entry.date || planDate };
+  if (entry.compression) {
+    fileOptions.compression = entry.compression.method;
+    fileOptions.compressionOptions = { level: entry.compression.level };
   }
-  
-  return stats;
+  if (entry.encoding === 'base64') fileOptions.base64 = true;
+  if (entry.mode !== undefined) fileOptions.unixPermissions = entry.mode;
+  if (entry.comment) fileOptions.comment = entry.comment;
+  return fileOptions;
 }
 
 /** Create file structure preview */
-export function createFileStructure(data, name = 'root', depth = 0) {
-  const node = { name: sanitizeFileName(name), type: 'folder', children: [], depth };
-  
-  if (Array.isArray(data)) {
-    if (data.length === 0) {
-      node.children.push({ name: 'empty_array.json', type: 'file', depth: depth + 1 });
-    } else {
-      data.forEach((item, index) => {
-        const itemName = `item_${index.toString().padStart(3, '0')}`;
-        if (typeof item === 'object' && item !== null) {
-          node.children.push(createFileStructure(item, itemName, depth + 1));
-        } else {
-          const ext = getSmartFileExtension(item);
-          node.children.push({ name: `${itemName}${ext}`, type: 'file', depth: depth + 1 });
-        }
-      });
-    }
-  } else if (typeof data === 'object' && data !== null) {
-    const keys = Object.keys(data);
-    if (keys.length === 0) {
-      node.children.push({ name: 'empty_object.json', type: 'file', depth: depth + 1 });
-    } else {
-      keys.forEach(key => {
-        const value = data[key];
-        const sanitizedKey = sanitizeFileName(key);
-        if (typeof value === 'object' && value !== null) {
-          node.children.push(createFileStructure(value, sanitizedKey, depth + 1));
-        } else {
-          const ext = getSmartFileExtension(value);
-          node.children.push({ name: `${sanitizedKey}${ext}`, type: 'file', depth: depth + 1 });
-        }
-      });
-    }
-  } else {
-    node.type = 'file';
-    const ext = getSmartFileExtension(data);
-    node.name = `${name}${ext}`;
+export function createFileStructure(data, name = 'root') {
+  const plan = createBuildPlan(data, { rootName: name, createReadme: false, includeMetadata: false });
+
+  function withDepth(node, depth) {
+    return node.type === 'folder'
+      ? { name: node.name, type: 'folder', depth, children: node.children.map(child => withDepth(child, depth + 1)) }
+      : { name: node.name, type: 'file', depth };
   }
-  
-  return node;
+
+  return withDepth(buildTreeFromPlan(plan), 0);
 }
 
-/** Download the ZIP */
+/** Download the ZIP (or any other archive blob) */
 export function downloadZip(zipBlob, filename = 'converted-json.zip') {
   saveAs(zipBlob, filename);
 }
@@ -0,0 +1,266 @@
+/* EXPORTS: MAX_UNCOMPRESSED_BYTES, readZipToJson, createInflateBudget, isGeneratedReadme, isGeneratedMetadata */
+
+import JSZip from 'jszip';
+import { BASE64_MARKER, encodeBase64, decodeUtf8Text, concatBytes } from './binaryContent';
+import { isGeneratedManifest, restoreFromManifest } from './roundTripManifest';
+import { parseChecksumFile } from './checksums';
+
+const ARRAY_ITEM_PATTERN = /^item_(\d{3,})(\.[^.]+)?$/;
+const EMPTY_MARKERS = { 'empty_array.json': '[]', 'empty_object.json': '{}' };
+// The planner renames generated files (README_1.md) when the data already uses the name
+const GENERATED_README = /^README(_\d+)?\.md$/;
+const GENERATED_METADATA = /^_metadata(_\d+)?\.json$/;
+const GENERATED_MANIFEST = /^_manifest(_\d+)?\.json$/;
+const GENERATED_CHECKSUMS = /^CHECKSUMS(_\d+)?\.sha256$/;
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+// Limit for the bytes inflated from one archive, four times the upload limit
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Rebuilds the JSON structure that regenerates a ZIP archive.
+ *
+ * This inverts the build plan rules: folders become objects, item_000 folders
+ * become arrays, empty_array.json/empty_object.json markers become [] and {},
+ * text files become strings keyed by their file name and binary files become
+ * "base64:" strings. A single root folder and the README.md, _metadata.json and
+ * CHECKSUMS.sha256 files written by this tool are stripped unless keepGeneratedFiles is set.
+ *
+ * When the archive carries a _manifest.json written by this tool, the exact
+ * original JSON is rebuilt from it instead, including key order, original
+ * keys and non-string primitives.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob|Buffer} zipInput - ZIP archive contents
+ * @param {Object} options - Reader options
+ * @param {boolean} options.keepGeneratedFiles - Keep our README.md/_metadata.json as files
+ * @param {boolean} options.includeAttributes - Emit $mode/$mtime file objects for entries with Unix permissions
+ * @param {number} options.maxUncompressedBytes - Limit for the bytes inflated (see createInflateBudget)
+ * @returns {Promise<Object>} - { data, rootName, metadata, skipped, fromManifest }
+ */
+async function readZipToJson(zipInput, options = {}) {
+  const config = {
+    keepGeneratedFiles: false,
+    includeAttributes: false,
+    maxUncompressedBytes: MAX_UNCOMPRESSED_BYTES,
+    ...options
+  };
+
+  const zip = await JSZip.loadAsync(zipInput);
+  const budget = createInflateBudget(config.maxUncompressedBytes);
+  const skipped = [];
+  const files = [];
+
+  zip.forEach((relativePath, file) => {
+    if (IGNORED_ENTRIES.test(relativePath)) {
+      skipped.push(relativePath);
+      return;
+    }
+    files.push(file);
+  });
+
+  // Strip a single top-level folder, as written by generateZipFromJson
+  const topLevel = new Set(files.map(file => file.name.split('/')[0]));
+  const rootName = topLevel.size === 1 && files.some(file => file.name.includes('/'))
+    ? [...topLevel][0]
+    : '';
+  const prefix = rootName ? `${rootName}/` : '';
+
+  const root = createFolderNode();
+  let metadata = null;
+  let manifest = null;
+
+  for (const file of files) {
+    const path = file.name.slice(prefix.length).replace(/\/$/, '');
+    if (!path) continue;
+
+    const segments = path.split('/');
+    const parent = ensureFolder(root, segments.slice(0, -1));
+    const name = segments[segments.length - 1];
+
+    if (file.dir) {
+      ensureFolder(parent, [name]);
+      continue;
+    }
+
+    const bytes = await budget.read(file);
+    const text = decodeUtf8Text(bytes);
+
+    if (segments.length === 1 && !config.keepGeneratedFiles) {
+      if (GENERATED_METADATA.test(name) && isGeneratedMetadata(text)) {
+        metadata = JSON.parse(text);
+        continue;
+      }
+      if (GENERATED_README.test(name) && isGeneratedReadme(text)) {
+        continue;
+      }
+      if (GENERATED_CHECKSUMS.test(name) && text !== null && parseChecksumFile(text)) {
+        continue;
+      }
+      if (GENERATED_MANIFEST.test(name) && !manifest) {
+        const parsed = parseJson(text);
+        if (isGeneratedManifest(parsed)) {
+          manifest = parsed;
+          continue;
+        }
+      }
+    }
+
+    parent.children.set(name, {
+      type: 'file',
+      content: text === null ? `${BASE64_MARKER}${encodeBase64(bytes)}` : text,
+      mode: file.unixPermissions ? file.unixPermissions & 0o777 : null,
+      date: file.date
+    });
+  }
+
+  if (manifest) {
+    const data = await restoreFromManifest(manifest, (path, encoding) => {
+      const file = zip.file(`${prefix}${path}`);
+      if (!file) {
+        throw new Error(`File "${path}" listed in the manifest is missing from the archive`);
+      }
+      return budget.read(file).then(bytes => (
+        encoding === 'base64' ? encodeBase64(bytes) : new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes)
+      ));
+    });
+    return { data, rootName, metadata, skipped, fromManifest: true };
+  }
+
+  return {
+    data: toJsonValue(root, config),
+    rootName,
+    metadata,
+    skipped,
+    fromManifest: false
+  };
+}
+
+/**
+ * Counts the bytes inflated from one archive so that a small ZIP whose
+ * entries expand to gigabytes (a ZIP bomb) is refused instead of filling
+ * memory. The size an entry declares is checked before inflating it and the
+ * inflated bytes while inflating, since the declared sizes can lie.
+ * @param {number} maxBytes - Limit for the uncompressed bytes of every entry read, together
+ * @returns {Object} - { read(file) } resolving to the bytes of a JSZip entry; it rejects with an
+ *   error whose maxBytes property is set once the limit is exceeded
+ */
+function createInflateBudget(maxBytes = MAX_UNCOMPRESSED_BYTES) {
+  let total = 0;
+
+  function createLimitError() {
+    const error = new Error(`Archive contents exceed the ${Math.round(maxBytes / 1024 / 1024)}mb limit once uncompressed`);
+    error.maxBytes = maxBytes;
+    return error;
+  }
+
+  return {
+    read(file) {
+      // JSZip keeps the sizes read from the central directory on the entry's compressed data
+      if (file._data?.uncompressedSize > maxBytes - total) {
+        return Promise.reject(createLimitError());
+      }
+
+      return new Promise((resolve, reject) => {
+        const chunks = [];
+        let stopped = false;
+        const stream = file.internalStream('uint8array');
+        stream
+          .on('data', chunk => {
+            if (stopped) return;
+            total += chunk.length;
+            if (total > maxBytes) {
+              stopped = true;
+              stream.pause();
+              reject(createLimitError());
+              return;
+            }
+            chunks.push(chunk);
+          })
+          .on('error', reject)
+          .on('end', () => resolve(concatBytes(chunks)))
+          .resume();
+      });
+    }
+  };
+}
+
+/**
+ * Checks for the README.md written by generateZipFromJson
+ * @param {string|null} text - File contents
+ * @returns {boolean} - True when the README was generated by this tool
+ */
+function isGeneratedReadme(text) {
+  return typeof text === 'string' && text.trimEnd().endsWith('Generated by JSON to ZIP Converter');
+}
+
+/**
+ * Checks for the _metadata.json written by generateZipFromJson
+ * @param {string|null} text - File contents
+ * @returns {boolean} - True when the metadata was generated by this tool
+ */
+function isGeneratedMetadata(text) {
+  const parsed = parseJson(text);
+  return typeof parsed === 'object' && parsed !== null && 'rootName' in parsed && 'features' in parsed;
+}
+
+function parseJson(text) {
+  if (typeof text !== 'string') return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function createFolderNode() {
+  return { type: 'folder', children: new Map() };
+}
+
+function ensureFolder(root, segments) {
+  let node = root;
+  segments.forEach(segment => {
+    const existing = node.children.get(segment);
+    if (existing && existing.type === 'folder') {
+      node = existing;
+      return;
+    }
+    const folder = createFolderNode();
+    node.children.set(segment, folder);
+    node = folder;
+  });
+  return node;
+}
+
+// Converts the intermediate folder tree into the JSON the planner expects
+function toJsonValue(node, config) {
+  if (node.type === 'file') {
+    if (config.includeAttributes && node.mode !== null) {
+      return { $content: node.content, $mode: node.mode.toString(8), $mtime: node.date.toISOString() };
+    }
+    return node.content;
+  }
+
+  const names = [...node.children.keys()];
+
+  if (names.length === 1) {
+    const only = node.children.get(names[0]);
+    if (only.type === 'file' && EMPTY_MARKERS[names[0]] === only.content) {
+      return names[0] === 'empty_array.json' ? [] : {};
+    }
+  }
+
+  const isArray = names.length > 0 && names.every((name, i) => {
+    const match = ARRAY_ITEM_PATTERN.exec(name);
+    return match && Number(match[1]) === i;
+  });
+
+  if (isArray) {
+    return names.map(name => toJsonValue(node.children.get(name), config));
+  }
+
+  return names.reduce((result, name) => {
+    result[name] = toJsonValue(node.children.get(name), config);
+    return result;
+  }, {});
+}
+
+export { MAX_UNCOMPRESSED_BYTES, readZipToJson, createInflateBudget, isGeneratedReadme, isGeneratedMetadata };
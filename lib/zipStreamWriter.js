@@ -0,0 +1,278 @@
+/* EXPORTS: createZipStreamWriter */
+
+import pako from 'pako';
+import { getEntryBytes } from './checksums';
+import { concatBytes } from './binaryContent';
+import { crc32, createZipCryptoEncryptor, encryptWinZipAes, AES_SALT_LENGTH } from './zipEncryption';
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const METHOD_AES = 99;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const MAX_ZIP32 = 0xffffffff;
+const MAX_ZIP32_ENTRIES = 0xffff;
+// Central directory records are packed into blocks of this size until the archive is finished
+const CENTRAL_BLOCK_BYTES = 64 * 1024;
+const VERSION_MADE_BY_UNIX = 0x0300 | 63;
+const VERSION_MADE_BY_DOS = 63;
+
+/**
+ * Creates a ZIP writer that outputs every entry as soon as it is added, so
+ * archives can be streamed; only the central directory records are kept,
+ * packed into blocks.
+ *
+ * File entries are deflated at their planned level (or stored when that is
+ * smaller) and, with a password, encrypted. Folders are never encrypted, as
+ * ZIP has no way to encrypt names. Archives over 4 GB or 65535 entries are
+ * written as ZIP64.
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} options.encryption - null, 'zipcrypto' or 'aes256'
+ * @param {string} options.password - Password (UTF-8 encoded) for encrypted archives
+ * @param {Date} options.date - Modification time for entries without $mtime
+ * @param {Function} options.onData - Receives the archive as a sequence of Uint8Array chunks
+ * @returns {Object} - { addEntry(entry), finish() }
+ */
+function createZipStreamWriter(options) {
+  const { encryption, onData } = options;
+  const passwordBytes = encryption ? new TextEncoder().encode(options.password) : null;
+  const planDate = options.date || new Date();
+  const centralBlocks = [];
+  let block = new Uint8Array(CENTRAL_BLOCK_BYTES);
+  let blockLength = 0;
+  let entryCount = 0;
+  let offset = 0;
+  // Same rule as generateZipFromPlan: Unix permissions only when an entry has a mode
+  let isUnix = false;
+
+  // Records never span blocks, so finish() can walk each block on its own
+  function appendCentralRecord(bytes) {
+    if (blockLength + bytes.length > block.length) {
+      centralBlocks.push(block.subarray(0, blockLength));
+      block = new Uint8Array(Math.max(CENTRAL_BLOCK_BYTES, bytes.length));
+      blockLength = 0;
+    }
+    block.set(bytes, blockLength);
+    blockLength += bytes.length;
+  }
+
+  function addEntry(entry) {
+    const record = entry.type === 'folder'
+      ? createFolderRecord()
+      : createFileRecord(entry, encryption, passwordBytes);
+    const name = new TextEncoder().encode(entry.type === 'folder' ? `${entry.path}/` : entry.path);
+    const comment = new TextEncoder().encode(entry.comment || '');
+    const { time, date } = toDosDateTime(entry.date || planDate);
+
+    if (record.data.length > MAX_ZIP32 || record.size > MAX_ZIP32) {
+      throw new Error(`${entry.path} is too large for a ZIP entry (4 GB)`);
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, record.versionNeeded, true);
+    local.setUint16(6, record.flags, true);
+    local.setUint16(8, record.method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, record.crc, true);
+    local.setUint32(18, record.data.length, true);
+    local.setUint32(22, record.size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, record.extra.length, true);
+
+    onData(concatBytes([new Uint8Array(local.buffer), name, record.extra, record.data]));
+
+    // Offsets past 4 GB move into a ZIP64 extra field
+    const zip64 = offset > MAX_ZIP32 ? createZip64OffsetExtra(offset) : new Uint8Array(0);
+    const extra = concatBytes([record.extra, zip64]);
+
+    // Written as Unix; finish() drops the permissions when no entry has a mode
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, VERSION_MADE_BY_UNIX, true);
+    central.setUint16(6, zip64.length > 0 ? Math.max(record.versionNeeded, 45) : record.versionNeeded, true);
+    central.setUint16(8, record.flags, true);
+    central.setUint16(10, record.method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, record.crc, true);
+    central.setUint32(20, record.data.length, true);
+    central.setUint32(24, record.size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint16(30, extra.length, true);
+    central.setUint16(32, comment.length, true);
+    central.setUint32(38, getUnixAttributes(entry), true);
+    central.setUint32(42, Math.min(offset, MAX_ZIP32), true);
+
+    appendCentralRecord(concatBytes([new Uint8Array(central.buffer), name, extra, comment]));
+    isUnix = isUnix || entry.mode !== undefined;
+    entryCount++;
+    offset += 30 + name.length + record.extra.length + record.data.length;
+  }
+
+  function finish() {
+    const centralOffset = offset;
+    let centralSize = 0;
+    centralBlocks.push(block.subarray(0, blockLength));
+
+    centralBlocks.forEach(centralBlock => {
+      if (!isUnix) {
+        useDosAttributes(centralBlock);
+      }
+      centralSize += centralBlock.length;
+      onData(centralBlock);
+    });
+
+    const chunks = [];
+    const needsZip64 = entryCount > MAX_ZIP32_ENTRIES || centralOffset > MAX_ZIP32 || centralSize > MAX_ZIP32;
+    if (needsZip64) {
+      const zip64End = new DataView(new ArrayBuffer(56));
+      zip64End.setUint32(0, 0x06064b50, true);
+      setUint64(zip64End, 4, 44);
+      zip64End.setUint16(12, isUnix ? VERSION_MADE_BY_UNIX : VERSION_MADE_BY_DOS, true);
+      zip64End.setUint16(14, 45, true);
+      setUint64(zip64End, 24, entryCount);
+      setUint64(zip64End, 32, entryCount);
+      setUint64(zip64End, 40, centralSize);
+      setUint64(zip64End, 48, centralOffset);
+
+      const locator = new DataView(new ArrayBuffer(20));
+      locator.setUint32(0, 0x07064b50, true);
+      setUint64(locator, 8, centralOffset + centralSize);
+      locator.setUint32(16, 1, true);
+
+      chunks.push(new Uint8Array(zip64End.buffer), new Uint8Array(locator.buffer));
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, Math.min(entryCount, MAX_ZIP32_ENTRIES), true);
+    end.setUint16(10, Math.min(entryCount, MAX_ZIP32_ENTRIES), true);
+    end.setUint32(12, Math.min(centralSize, MAX_ZIP32), true);
+    end.setUint32(16, Math.min(centralOffset, MAX_ZIP32), true);
+    chunks.push(new Uint8Array(end.buffer));
+
+    onData(concatBytes(chunks));
+  }
+
+  return { addEntry, finish };
+}
+
+function createFolderRecord() {
+  return {
+    versionNeeded: 20,
+    flags: FLAG_UTF8,
+    method: METHOD_STORED,
+    crc: 0,
+    size: 0,
+    data: new Uint8Array(0),
+    extra: new Uint8Array(0)
+  };
+}
+
+function createFileRecord(entry, encryption, passwordBytes) {
+  const raw = getEntryBytes(entry);
+  const crc = crc32(raw);
+  const level = entry.compression ? entry.compression.level : 6;
+  const deflated = level > 0 ? pako.deflateRaw(raw, { level }) : raw;
+  const method = deflated.length < raw.length ? METHOD_DEFLATE : METHOD_STORED;
+  const compressed = method === METHOD_DEFLATE ? deflated : raw;
+
+  if (!encryption) {
+    return {
+      versionNeeded: 20,
+      flags: FLAG_UTF8,
+      method,
+      crc,
+      size: raw.length,
+      data: compressed,
+      extra: new Uint8Array(0)
+    };
+  }
+
+  const flags = FLAG_UTF8 | FLAG_ENCRYPTED;
+
+  if (encryption === 'zipcrypto') {
+    // 12 byte encryption header; its last byte lets readers check the password
+    const header = randomBytes(12);
+    header[11] = crc >>> 24;
+    return {
+      versionNeeded: 20,
+      flags,
+      method,
+      crc,
+      size: raw.length,
+      data: createZipCryptoEncryptor(passwordBytes)(concatBytes([header, compressed])),
+      extra: new Uint8Array(0)
+    };
+  }
+
+  // AE-2 stores no CRC; the HMAC inside the encrypted data authenticates it instead
+  const extra = new DataView(new ArrayBuffer(11));
+  extra.setUint16(0, 0x9901, true);
+  extra.setUint16(2, 7, true);
+  extra.setUint16(4, 2, true);
+  extra.setUint8(6, 0x41);
+  extra.setUint8(7, 0x45);
+  extra.setUint8(8, 3);
+  extra.setUint16(9, method, true);
+
+  return {
+    versionNeeded: 51,
+    flags,
+    method: METHOD_AES,
+    crc: 0,
+    size: raw.length,
+    data: encryptWinZipAes(compressed, passwordBytes, randomBytes(AES_SALT_LENGTH)),
+    extra: new Uint8Array(extra.buffer)
+  };
+}
+
+function createZip64OffsetExtra(offset) {
+  const extra = new DataView(new ArrayBuffer(12));
+  extra.setUint16(0, 0x0001, true);
+  extra.setUint16(2, 8, true);
+  setUint64(extra, 4, offset);
+  return new Uint8Array(extra.buffer);
+}
+
+// Little-endian 64-bit integer from a safe JavaScript number
+function setUint64(view, position, value) {
+  view.setUint32(position, value % 0x100000000, true);
+  view.setUint32(position + 4, Math.floor(value / 0x100000000), true);
+}
+
+// MS-DOS date and time fields, in UTC like JSZip
+function toDosDateTime(value) {
+  const year = Math.max(value.getUTCFullYear(), 1980);
+  return {
+    time: (value.getUTCHours() << 11) | (value.getUTCMinutes() << 5) | Math.floor(value.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((value.getUTCMonth() + 1) << 5) | value.getUTCDate()
+  };
+}
+
+// Unix mode in the high 16 bits, MS-DOS attributes in the low ones
+function getUnixAttributes(entry) {
+  const isFolder = entry.type === 'folder';
+  const mode = isFolder ? 0o40755 : 0o100000 | (entry.mode ?? 0o644);
+  return ((mode << 16) | (isFolder ? 0x10 : 0)) >>> 0;
+}
+
+// Rewrites every central directory record of a block as made on MS-DOS
+function useDosAttributes(centralBlock) {
+  const view = new DataView(centralBlock.buffer, centralBlock.byteOffset, centralBlock.length);
+  let position = 0;
+  while (position < centralBlock.length) {
+    view.setUint16(position + 4, VERSION_MADE_BY_DOS, true);
+    view.setUint32(position + 38, view.getUint32(position + 38, true) & 0xffff, true);
+    position += 46 + view.getUint16(position + 28, true) + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+  }
+}
+
+function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+export { createZipStreamWriter };
@@ -1,111 +1,298 @@
 /* EXPORTS: default (API handler) */
 
+import { createStreamingPlanner, requiresWholeDocument } from '../../lib/streamingPlan';
+import { ARCHIVE_FORMATS, createArchiveWriter, getArchiveFileName } from '../../lib/zipGenerator';
+import { ENCRYPTION_METHODS } from '../../lib/encryptedZipWriter';
+import { validateCompressionPolicy } from '../../lib/compressionPolicy';
+import { validateNamingConfig } from '../../lib/fileNaming';
+import { sanitizeFileName } from '../../lib/buildPlan';
+import { MAX_UPLOAD_BYTES } from '../../lib/requestBody';
+import { JSON_DIALECTS } from '../../lib/jsonParser';
+import { INPUT_FORMATS, isJsonFormat, detectInputFormat, parseInputText } from '../../lib/inputFormats';
+
+// Output is held back until this much is ready, so small requests still get JSON errors
+const STREAM_START_BYTES = 1024 * 1024;
+// This much of the body is read before deciding whether it is JSON to stream
+const SNIFF_LENGTH = 4096;
+// Bodies of earlier versions of this route: { "jsonData": ..., "zipName": "..." }
+const LEGACY_BODY = /^\ufeff?\s*\{\s*"(jsonData|zipName)"\s*:/;
+
+// The body is the JSON document itself, read as it arrives, and the archive
+// is written to the response entry by entry, so memory stays bounded by the
+// largest single value rather than the whole document. Options arrive as
+// query parameters: naming (without customRules) and compression as JSON,
+// dialect to accept JSONC or JSON5 bodies and inputFormat for YAML, TOML,
+// Markdown or directory listing bodies (or auto to detect them). Those bodies, the
+// { jsonData, zipName } bodies of earlier versions and documents planned with
+// expandPaths or includeManifest are read whole before planning, up to
+// MAX_UPLOAD_BYTES. The password of an encrypted ZIP is sent in the
+// X-Archive-Password header to keep it out of URLs.
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let options;
   try {
-    const { jsonData, zipName } = req.body;
+    options = readOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid options', details: error.message });
+  }
+
+  const { format, encryption } = options;
+  const password = req.headers['x-archive-password'];
+
+  if (!ARCHIVE_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Unsupported archive format',
+      details: `Expected one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')}`
+    });
+  }
 
-    if (!jsonData) {
-      return res.status(400).json({ error: 'JSON data is required' });
+  if (encryption && !ENCRYPTION_METHODS[encryption]) {
+    return res.status(400).json({
+      error: 'Unsupported encryption',
+      details: `Expected one of: ${Object.keys(ENCRYPTION_METHODS).join(', ')}`
+    });
+  }
+
+  if (encryption && format !== 'zip') {
+    return res.status(400).json({ error: 'Encryption is only supported for the zip format' });
+  }
+
+  if (encryption && !password) {
+    return res.status(400).json({ error: 'Password is required for encrypted ZIP files (X-Archive-Password header)' });
+  }
+
+  if (options.plan.dialect !== 'auto' && !JSON_DIALECTS[options.plan.dialect]) {
+    return res.status(400).json({
+      error: 'Unsupported dialect',
+      details: `Expected one of: auto, ${Object.keys(JSON_DIALECTS).join(', ')}`
+    });
+  }
+
+  if (options.inputFormat !== 'auto' && !INPUT_FORMATS[options.inputFormat]) {
+    return res.status(400).json({
+      error: 'Unsupported input format',
+      details: `Expected one of: auto, ${Object.keys(INPUT_FORMATS).join(', ')}`
+    });
+  }
+
+  const compressionError = options.plan.compression && validateCompressionPolicy(options.plan.compression);
+  if (compressionError) {
+    return res.status(400).json({ error: 'Invalid compression policy', details: compressionError });
+  }
+
+  const namingError = options.plan.naming !== null && validateNamingConfig(options.plan.naming);
+  if (namingError) {
+    return res.status(400).json({ error: 'Invalid naming configuration', details: namingError });
+  }
+  // Rule patterns are arbitrary regular expressions, which could backtrack for as long as they like here
+  if (options.plan.naming?.customRules?.length) {
+    return res.status(400).json({
+      error: 'Invalid naming configuration',
+      details: 'customRules are only applied in the browser; rename the keys before sending the document'
+    });
+  }
+
+  // Entries planned and archive chunks written for one request chunk, flushed before reading on
+  const entries = [];
+  const pending = [];
+  let received = 0;
+  // Bodies in the other input formats are collected, then planned as JSON; null until the start of the body is read
+  let isStreamed = null;
+  let isLegacy = false;
+  let isTooLarge = false;
+  // Path expansion and the manifest need the whole document, which the planner collects in memory
+  const isWholeDocument = requiresWholeDocument(options.plan);
+  let bodyFormat = options.inputFormat;
+  let bufferedText = '';
+  const sniff = () => {
+    isLegacy = isJsonFormat(options.inputFormat) && LEGACY_BODY.test(bufferedText);
+    isStreamed = isJsonFormat(options.inputFormat) && !isLegacy &&
+      (options.inputFormat !== 'auto' || detectInputFormat(bufferedText) === 'auto');
+    if (options.inputFormat === 'auto' && !isStreamed && !isLegacy) {
+      bodyFormat = detectInputFormat(bufferedText);
     }
+  };
 
-    // Dynamic import of JSZip for server-side usage
-    const JSZip = (await import('jszip')).default;
-    const zip = new JSZip();
-
-    // Recursive function to process JSON structure and create files/folders
-    function processJsonStructure(obj, currentPath = '') {
-      if (Array.isArray(obj)) {
-        // Handle arrays - create numbered files or folders
-        obj.forEach((item, index) => {
-          const itemPath = currentPath ? `${currentPath}/item_${index}` : `item_${index}`;
-          
-          if (typeof item === 'object' && item !== null) {
-            processJsonStructure(item, itemPath);
-          } else {
-            // Create file with primitive value
-            const fileName = `${itemPath}.txt`;
-            zip.file(fileName, String(item));
-          }
-        });
-      } else if (typeof obj === 'object' && obj !== null) {
-        // Handle objects - create folders and files
-        Object.entries(obj).forEach(([key, value]) => {
-          const sanitizedKey = key.replace(/[<>:"/\\|?*]/g, '_'); // Sanitize filename
-          const itemPath = currentPath ? `${currentPath}/${sanitizedKey}` : sanitizedKey;
-          
-          if (typeof value === 'object' && value !== null) {
-            if (Array.isArray(value) && value.length === 0) {
-              // Empty array - create empty folder
-              zip.folder(itemPath);
-            } else if (!Array.isArray(value) && Object.keys(value).length === 0) {
-              // Empty object - create empty folder
-              zip.folder(itemPath);
-            } else {
-              // Non-empty object/array - process recursively
-              processJsonStructure(value, itemPath);
-            }
-          } else {
-            // Primitive value - create file
-            const fileExtension = typeof value === 'string' ? '.txt' : '.json';
-            const fileName = `${itemPath}${fileExtension}`;
-            const fileContent = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
-            zip.file(fileName, fileContent);
-          }
-        });
-      } else {
-        // Handle primitive values at root level
-        const fileName = currentPath || 'data.txt';
-        zip.file(fileName, String(obj));
+  try {
+    // Plan the archive with the same rules as the browser preview and download
+    const planner = createStreamingPlanner(options.plan, entry => entries.push(entry));
+    const writer = createArchiveWriter(format, {
+      encryption,
+      password,
+      date: planner.date,
+      compressionLevel: planner.compressionLevel,
+      onData: chunk => pending.push(chunk)
+    });
+
+    const decoder = new TextDecoder();
+    for await (const chunk of req) {
+      received += chunk.length;
+      // The rest of a body that is too large is still read, so the 413 response reaches the client
+      if (isTooLarge) continue;
+      if ((isStreamed === false || isWholeDocument) && received > MAX_UPLOAD_BYTES) {
+        isTooLarge = true;
+        bufferedText = '';
+        continue;
       }
-    }
 
-    // Process the JSON structure
-    processJsonStructure(jsonData);
-
-    // Add a metadata file with generation info
-    const metadata = {
-      generatedAt: new Date().toISOString(),
-      originalStructure: jsonData,
-      fileCount: Object.keys(zip.files).length
-    };
-    zip.file('_metadata.json', JSON.stringify(metadata, null, 2));
-
-    // Generate the ZIP file
-    const zipBuffer = await zip.generateAsync({
-      type: 'nodebuffer',
-      compression: 'DEFLATE',
-      compressionOptions: {
-        level: 6
+      bufferedText += decoder.decode(chunk, { stream: true });
+      if (isStreamed === null && (!isJsonFormat(options.inputFormat) || bufferedText.length >= SNIFF_LENGTH)) {
+        sniff();
       }
-    });
+      if (!isStreamed) continue;
+
+      planner.write(bufferedText);
+      bufferedText = '';
+      entries.splice(0).forEach(entry => writer.addEntry(entry));
+      await flush(res, pending, options);
+    }
+
+    if (received === 0) {
+      return res.status(400).json({ error: 'JSON data is required as the request body' });
+    }
 
-    // Set response headers for file download
-    const fileName = zipName || 'converted-json-structure.zip';
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-    res.setHeader('Content-Length', zipBuffer.length);
+    if (isTooLarge) {
+      return res.status(413).json({
+        error: 'Request body too large',
+        details: `Bodies that are read whole before planning are limited to ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)}mb`
+      });
+    }
 
-    // Send the ZIP file
-    res.status(200).send(zipBuffer);
+    bufferedText += decoder.decode();
+    if (isStreamed === null) {
+      sniff();
+    }
+    if (isStreamed) {
+      planner.write(bufferedText);
+    } else {
+      let { data } = parseInputText(bufferedText, bodyFormat, options);
+      if (isLegacy && isLegacyBody(data)) {
+        if (data.jsonData === undefined || data.jsonData === null) {
+          return res.status(400).json({ error: 'JSON data is required' });
+        }
+        options.zipName = options.zipName || (typeof data.zipName === 'string' ? data.zipName : undefined);
+        data = data.jsonData;
+      }
+      planner.write(JSON.stringify(data));
+    }
+    planner.end();
+    entries.splice(0).forEach(entry => writer.addEntry(entry));
+    writer.finish();
+    await flush(res, pending, options, true);
+    res.end();
 
   } catch (error) {
     console.error('Error generating ZIP:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate ZIP file',
-      details: error.message 
+
+    // Once the archive has started, the only way to report an error is to abort it
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(error instanceof SyntaxError ? 400 : 500).json({
+      error: describeError(error, bodyFormat),
+      details: error.message
     });
   }
 }
 
+function describeError(error, bodyFormat) {
+  if (!(error instanceof SyntaxError)) return 'Failed to generate ZIP file';
+  // Valid JSON the streaming planner cannot plan in one pass; the pointer tells which object
+  if (error.pointer !== undefined) return 'Unsupported key order for streaming';
+  return `Invalid ${INPUT_FORMATS[bodyFormat]?.label || 'JSON'}`;
+}
+
+// Documents that merely start with a "jsonData" key are planned as they are
+function isLegacyBody(data) {
+  return typeof data === 'object' && data !== null && !Array.isArray(data) &&
+    Object.keys(data).every(key => key === 'jsonData' || key === 'zipName');
+}
+
+function readOptions(query) {
+  const flag = (name, fallback = false) => (query[name] === undefined ? fallback : query[name] === 'true');
+  const json = name => {
+    if (query[name] === undefined) return null;
+    try {
+      return JSON.parse(query[name]);
+    } catch (error) {
+      throw new Error(`${name} must be JSON: ${error.message}`);
+    }
+  };
+
+  // A JSON dialect given as the input format is the same as the dialect parameter
+  const inputFormat = query.inputFormat || query.dialect || 'json';
+  return {
+    zipName: query.zipName,
+    inputFormat,
+    listingContent: query.listingContent,
+    format: query.format || 'zip',
+    encryption: query.encryption || null,
+    plan: {
+      rootName: query.rootName ?? 'project',
+      includeMetadata: flag('includeMetadata', true),
+      createReadme: flag('createReadme', true),
+      naming: json('naming'),
+      extensionPolicy: query.extensionPolicy,
+      // Path expansion and the manifest need the whole document, so they are read first
+      expandPaths: flag('expandPaths'),
+      includeManifest: flag('includeManifest'),
+      // Falls back to the server's SOURCE_DATE_EPOCH when no epoch is sent
+      reproducible: flag('reproducible'),
+      sourceDateEpoch: query.sourceDateEpoch,
+      includeChecksums: flag('includeChecksums'),
+      compression: json('compression'),
+      dialect: isJsonFormat(inputFormat) ? inputFormat : 'json'
+    }
+  };
+}
+
+// Sends the headers once enough output is ready (or the archive is complete),
+// then writes chunks as the client accepts them
+async function flush(res, pending, options, isLast = false) {
+  if (pending.length === 0) return;
+
+  if (!res.headersSent) {
+    const pendingBytes = pending.reduce((total, chunk) => total + chunk.length, 0);
+    if (pendingBytes < STREAM_START_BYTES && !isLast) return;
+
+    const fileName = getArchiveFileName(sanitizeFileName(options.zipName || '') || 'converted-json-structure.zip', options.format);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', ARCHIVE_FORMATS[options.format].mimeType);
+    res.setHeader('Content-Disposition', getContentDisposition(fileName));
+  }
+
+  for (const chunk of pending.splice(0)) {
+    if (res.destroyed) {
+      throw new Error('Client closed the connection');
+    }
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  }
+}
+
+// The quoted filename is an ASCII fallback; filename* carries the name as UTF-8 (RFC 6266)
+function getContentDisposition(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
 export const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '10mb',
-    },
-    responseLimit: '50mb',
+    bodyParser: false,
+    responseLimit: false,
   },
-};
\ No newline at end of file
+};
@@ -0,0 +1,41 @@
+/* EXPORTS: default (API handler) */
+
+import { verifyArchive } from '../../lib/archiveVerifier';
+import { readRequestBody } from '../../lib/requestBody';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let zipBuffer;
+  try {
+    zipBuffer = await readRequestBody(req);
+  } catch (error) {
+    return res.status(413).json({ error: error.message });
+  }
+
+  if (zipBuffer.length === 0) {
+    return res.status(400).json({ error: 'ZIP file is required as the request body' });
+  }
+
+  try {
+    const result = await verifyArchive(zipBuffer);
+
+    // 200 either way: a mismatch is a verification result, not a request error
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error verifying ZIP:', error);
+    res.status(error.maxBytes ? 413 : 400).json({
+      error: 'Failed to verify ZIP file',
+      details: error.message
+    });
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -0,0 +1,51 @@
+/* EXPORTS: default (API handler) */
+
+import { readZipToJson } from '../../lib/zipReader';
+import { readRequestBody } from '../../lib/requestBody';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let zipBuffer;
+  try {
+    zipBuffer = await readRequestBody(req);
+  } catch (error) {
+    return res.status(413).json({ error: error.message });
+  }
+
+  if (zipBuffer.length === 0) {
+    return res.status(400).json({ error: 'ZIP file is required as the request body' });
+  }
+
+  try {
+    // Options arrive as query parameters because the body is the raw archive
+    const result = await readZipToJson(zipBuffer, {
+      keepGeneratedFiles: req.query.keepGeneratedFiles === 'true',
+      includeAttributes: req.query.includeAttributes === 'true'
+    });
+
+    res.status(200).json({
+      jsonData: result.data,
+      rootName: result.rootName,
+      metadata: result.metadata,
+      skipped: result.skipped,
+      fromManifest: result.fromManifest
+    });
+
+  } catch (error) {
+    console.error('Error reading ZIP:', error);
+    // Archives that inflate past the limit are refused as too large rather than malformed
+    res.status(error.maxBytes ? 413 : 400).json({
+      error: 'Failed to read ZIP file',
+      details: error.message
+    });
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
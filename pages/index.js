@@ -1,69 +1,457 @@
 /* EXPORTS: default (Home component) */
 
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Layout from '../components/Layout';
 import { Button } from '../components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
-import { Textarea } from '../components/ui/textarea';
 import { Alert, AlertDescription } from '../components/ui/alert';
 import { Badge } from '../components/ui/badge';
 import { Separator } from '../components/ui/separator';
 import { ScrollArea } from '../components/ui/scroll-area';
-import { parseJsonStructure } from '../lib/jsonParser';
-import { generateZipFile } from '../lib/zipGenerator';
-import { Download, FolderTree, AlertCircle, CheckCircle2, Folder, File } from 'lucide-react';
+import { Switch } from '../components/ui/switch';
+import { Label } from '../components/ui/label';
+import { Input } from '../components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Progress } from '../components/ui/progress';
+import { parseJsonStructure, validateJsonStructure, findJsonErrors } from '../lib/jsonParser';
+import { INPUT_FORMATS, isJsonFormat, detectInputFormat, getFormatForFileName, parseStructuredInput } from '../lib/inputFormats';
+import { LISTING_CONTENT } from '../lib/listingImport';
+import { parseJsonStream } from '../lib/streamingPlan';
+import { repairJson } from '../lib/jsonRepair';
+import { ARCHIVE_FORMATS } from '../lib/zipGenerator';
+import { generateZipFile } from '../lib/archiveDownload';
+import { DEFAULT_NAMING_CONFIG } from '../lib/fileNaming';
+import FileNamingOptions from '../components/FileNamingOptions';
+import CompressionOptions from '../components/CompressionOptions';
+import JsonEditor from '../components/JsonEditor';
+import RepairSuggestion from '../components/RepairSuggestion';
+import NdjsonBatch from '../components/NdjsonBatch';
+import FolderOutput from '../components/FolderOutput';
+import { readZipToJson } from '../lib/zipReader';
+import {
+  DEFAULT_IGNORE_PATTERNS,
+  parseIgnoreList,
+  collectDroppedFiles,
+  collectInputFiles,
+  readFilesToJson,
+  describeFolderStatus
+} from '../lib/folderReader';
+import { verifyArchive } from '../lib/archiveVerifier';
+import { ENCRYPTION_METHODS } from '../lib/encryptedZipWriter';
+import { DEFAULT_COMPRESSION_POLICY, formatByteSize } from '../lib/compressionPolicy';
+import { Download, FolderTree, AlertCircle, CheckCircle2, Folder, File, Upload, ShieldCheck, X, FileJson, FolderOpen, FolderUp } from 'lucide-react';
 
-// Both parseJsonStructure and generateZipFile are now imported from their respective lib files
+// parseJsonStructure returns the build plan that generateZipFile writes, so preview and download match
+
+// Larger inputs are streamed through parseJsonStream instead of JSON.parse (and files skip the editor)
+const STREAM_THRESHOLD_BYTES = 5 * 1024 * 1024;
+// Streamed previews show only the first entries and redraw at most this often
+const STREAM_PREVIEW_NODES = 2000;
+const STREAM_PREVIEW_INTERVAL_MS = 250;
 
 const Home = () => {
   const [jsonInput, setJsonInput] = useState('');
+  const [parsedData, setParsedData] = useState(null);
   const [parsedStructure, setParsedStructure] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [namingConfig, setNamingConfig] = useState(DEFAULT_NAMING_CONFIG);
+  const [expandPaths, setExpandPaths] = useState(false);
+  const [includeManifest, setIncludeManifest] = useState(false);
+  const [reproducible, setReproducible] = useState(false);
+  const [includeChecksums, setIncludeChecksums] = useState(false);
+  const [compressionPolicy, setCompressionPolicy] = useState(DEFAULT_COMPRESSION_POLICY);
+  const [archiveFormat, setArchiveFormat] = useState('zip');
+  const [encryption, setEncryption] = useState('none');
+  const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [syntaxErrors, setSyntaxErrors] = useState([]);
+  const [inputFormat, setInputFormat] = useState('auto');
+  const [listingContent, setListingContent] = useState('empty');
+  const [detectedFormat, setDetectedFormat] = useState(null);
+  const [repair, setRepair] = useState(null);
+  // Parts of the input that were left out, such as Markdown code blocks without a file name
+  const [inputWarnings, setInputWarnings] = useState([]);
+  const [streamSource, setStreamSource] = useState(null);
+  const [streamProgress, setStreamProgress] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [generationProgress, setGenerationProgress] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [ignoreList, setIgnoreList] = useState(DEFAULT_IGNORE_PATTERNS.join(', '));
+  const [isDragging, setIsDragging] = useState(false);
+  const [folderStatus, setFolderStatus] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const zipInputRef = useRef(null);
+  const verifyInputRef = useRef(null);
+  const jsonFileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const generationControllerRef = useRef(null);
+  const streamRunRef = useRef(0);
+
+  // Stop a running archive worker when leaving the page
+  useEffect(() => () => generationControllerRef.current?.abort(), []);
 
   const handleJsonChange = (value) => {
     setJsonInput(value);
+    setStreamSource(null);
+    // Results of a streamed preview still being read are dropped
+    streamRunRef.current++;
+    setStreamProgress(null);
     setError('');
+    setSyntaxErrors([]);
+    setRepair(null);
+    setInputWarnings([]);
+    setFolderStatus(null);
+    setDetectedFormat(null);
+    setParsedData(null);
     setParsedStructure(null);
+    setValidation(null);
     setShowPreview(false);
   };
 
-  const handleParseJson = () => {
-    if (!jsonInput.trim()) {
+  const getPlanOptions = (overrides = {}) => ({
+    naming: namingConfig,
+    expandPaths,
+    includeManifest,
+    reproducible,
+    includeChecksums,
+    compression: compressionPolicy,
+    // Only the JSON dialects are streamed; YAML and TOML are always parsed whole
+    dialect: isJsonFormat(inputFormat) ? inputFormat : 'json',
+    ...overrides
+  });
+
+  // Re-plans the previewed data whenever an option changes
+  const replan = (overrides) => {
+    if (streamSource) {
+      previewStream(streamSource, overrides);
+    } else if (parsedData) {
+      setParsedStructure(parseJsonStructure(parsedData, getPlanOptions(overrides)));
+    }
+  };
+
+  // Plans a large document while it is read, showing the tree as it grows
+  const previewStream = async (source, overrides = {}) => {
+    const run = ++streamRunRef.current;
+    let lastRender = 0;
+
+    setStreamSource(source);
+    setStreamProgress(0);
+    setDetectedFormat(null);
+    setParsedData(null);
+    setValidation(null);
+    setError('');
+    try {
+      const structure = await parseJsonStream(source, getPlanOptions(overrides), {
+        maxNodes: STREAM_PREVIEW_NODES,
+        onProgress: ({ bytesRead, totalBytes, tree }) => {
+          if (run !== streamRunRef.current) return;
+          setStreamProgress(totalBytes ? (bytesRead / totalBytes) * 100 : 0);
+
+          const now = Date.now();
+          if (now - lastRender < STREAM_PREVIEW_INTERVAL_MS) return;
+          lastRender = now;
+          setParsedStructure({ tree: { ...tree } });
+          setShowPreview(true);
+        }
+      });
+      if (run !== streamRunRef.current) return;
+      setParsedStructure(structure);
+      setDetectedFormat(structure.dialect);
+      setShowPreview(true);
+    } catch (err) {
+      if (run !== streamRunRef.current) return;
+      showParseError(err, source.name ? '' : jsonInput, getPlanOptions(overrides).dialect);
+      setParsedStructure(null);
+      setShowPreview(false);
+    } finally {
+      if (run === streamRunRef.current) {
+        setStreamProgress(null);
+      }
+    }
+  };
+
+  const handleNamingChange = (config) => {
+    setNamingConfig(config);
+    replan({ naming: config });
+  };
+
+  const handleExpandPathsChange = (checked) => {
+    setExpandPaths(checked);
+    replan({ expandPaths: checked });
+  };
+
+  const handleIncludeManifestChange = (checked) => {
+    setIncludeManifest(checked);
+    replan({ includeManifest: checked });
+  };
+
+  const handleReproducibleChange = (checked) => {
+    setReproducible(checked);
+    replan({ reproducible: checked });
+  };
+
+  const handleIncludeChecksumsChange = (checked) => {
+    setIncludeChecksums(checked);
+    replan({ includeChecksums: checked });
+  };
+
+  const handleCompressionChange = (policy) => {
+    setCompressionPolicy(policy);
+    replan({ compression: policy });
+  };
+
+  // Syntax errors in the editor text are listed and highlighted there, with a repair when one is found;
+  // anything else is shown as an alert
+  const showParseError = (err, text, inputDialect) => {
+    const errors = err instanceof SyntaxError && text ? findJsonErrors(text, { dialect: inputDialect }) : [];
+    setSyntaxErrors(errors);
+    setRepair(errors.length > 0 ? repairJson(text) : null);
+    setError(errors.length > 0 ? '' : 'Invalid JSON format: ' + err.message);
+  };
+
+  const clearPreview = () => {
+    setDetectedFormat(null);
+    setParsedData(null);
+    setParsedStructure(null);
+    setValidation(null);
+    setShowPreview(false);
+  };
+
+  const parseInput = (text, format, content = listingContent) => {
+    if (!text.trim()) {
       setError('Please enter JSON data');
       return;
     }
 
+    if (text.length > STREAM_THRESHOLD_BYTES && isJsonFormat(format === 'auto' ? detectInputFormat(text) : format)) {
+      previewStream(new Blob([text], { type: 'application/json' }), { dialect: format });
+      return;
+    }
+
+    const result = parseStructuredInput(text, { format, listingContent: content });
+    setInputWarnings(result.warnings || []);
+    if (!result.success) {
+      setSyntaxErrors(result.errors || []);
+      setRepair(result.repair || null);
+      setError(result.errors?.length > 0 ? '' : result.error);
+      clearPreview();
+      return;
+    }
+
     try {
-      const parsed = JSON.parse(jsonInput);
-      const structure = parseJsonStructure(parsed);
+      const structure = parseJsonStructure(result.data, getPlanOptions());
+      setDetectedFormat(result.format);
+      setParsedData(result.data);
       setParsedStructure(structure);
+      setValidation(validateJsonStructure(result.data));
       setShowPreview(true);
       setError('');
     } catch (err) {
-      setError('Invalid JSON format: ' + err.message);
-      setParsedStructure(null);
-      setShowPreview(false);
+      setError('Invalid structure: ' + err.message);
+      clearPreview();
+    }
+  };
+
+  const handleParseJson = () => parseInput(jsonInput, inputFormat);
+
+  // The format the text was read as, or before parsing the one pasted text seems to be in
+  const guessedFormat = inputFormat === 'auto' && jsonInput.trim() ? detectInputFormat(jsonInput) : null;
+  const shownFormat = detectedFormat || (guessedFormat !== 'auto' ? guessedFormat : null);
+
+  // Reads the input again in the new format when it has already been parsed
+  const handleInputFormatChange = (value) => {
+    setInputFormat(value);
+    if (streamSource && isJsonFormat(value)) {
+      previewStream(streamSource, { dialect: value });
+    } else if (parsedData || syntaxErrors.length > 0) {
+      parseInput(jsonInput, value);
+    }
+  };
+
+  const handleListingContentChange = (value) => {
+    setListingContent(value);
+    if (parsedData) {
+      parseInput(jsonInput, inputFormat, value);
+    }
+  };
+
+  // Replaces any other input format in the editor with the same structure as plain JSON
+  const handleConvertToJson = () => {
+    const result = parseStructuredInput(jsonInput, { format: inputFormat, listingContent });
+    if (!result.success) {
+      parseInput(jsonInput, inputFormat);
+      return;
+    }
+    const text = JSON.stringify(result.data, null, 2);
+    handleJsonChange(text);
+    setInputFormat('json');
+    parseInput(text, 'json');
+  };
+
+  // Files named .yaml, .toml, .md, .jsonc... switch the input format; large JSON files are streamed
+  const openInputFile = async (file) => {
+    const format = getFormatForFileName(file.name) || inputFormat;
+    setInputFormat(format);
+
+    if (file.size > STREAM_THRESHOLD_BYTES && isJsonFormat(format)) {
+      handleJsonChange('');
+      previewStream(file, { dialect: format });
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      handleJsonChange(text);
+      // Markdown is an import rather than a definition to edit, so its files are previewed right away
+      if (format === 'markdown') {
+        parseInput(text, format);
+      }
+    } catch (err) {
+      setError('Failed to read file: ' + err.message);
+    }
+  };
+
+  const handleOpenJson = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) {
+      openInputFile(file);
+    }
+  };
+
+  // Replaces the input with the JSON of the files collected from a drop or the folder picker
+  const importFiles = async ({ files, ignored }) => {
+    if (files.length === 0) {
+      setFolderStatus({ error: ignored.length > 0 ? 'Every dropped file is on the ignore list' : 'Nothing to read was dropped' });
+      return;
+    }
+
+    setFolderStatus({ reading: true, read: 0, total: files.length });
+    try {
+      const { data, rootName, skipped } = await readFilesToJson(files, {
+        onProgress: ({ read, total }) => setFolderStatus({ reading: true, read, total })
+      });
+      const text = JSON.stringify(data, null, 2);
+      handleJsonChange(text);
+      setInputFormat('json');
+      parseInput(text, 'json');
+      setFolderStatus({ rootName, files: files.length - skipped.length, ignored: ignored.length, skipped });
+    } catch (err) {
+      setFolderStatus({ error: 'Failed to read the files: ' + err.message });
+    }
+  };
+
+  const handleOpenFolder = (event) => {
+    const files = collectInputFiles(event.target.files || [], { ignore: parseIgnoreList(ignoreList) });
+    event.target.value = '';
+    importFiles(files);
+  };
+
+  const handleEditorDragOver = (event) => {
+    if (event.dataTransfer.types.includes('Files')) {
+      event.preventDefault();
+      setIsDragging(true);
+    }
+  };
+
+  const handleEditorDragLeave = (event) => {
+    // Moving over the editor's own children also fires dragleave
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  // A single file is opened as the input; folders and several files are read into one structure
+  const handleEditorDrop = async (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    setIsDragging(false);
+
+    const items = [...(event.dataTransfer.items || [])].filter(item => item.kind === 'file');
+    const hasFolder = items.some(item => item.webkitGetAsEntry?.()?.isDirectory);
+    if (!hasFolder && event.dataTransfer.files.length === 1) {
+      openInputFile(event.dataTransfer.files[0]);
+      return;
+    }
+    importFiles(await collectDroppedFiles(event.dataTransfer, { ignore: parseIgnoreList(ignoreList) }));
+  };
+
+  const handleImportZip = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    try {
+      const result = await readZipToJson(await file.arrayBuffer());
+      handleJsonChange(JSON.stringify(result.data, null, 2));
+    } catch (err) {
+      setError('Failed to read ZIP file: ' + err.message);
+    } finally {
+      setIsImporting(false);
     }
   };
 
+  const handleVerifyZip = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsVerifying(true);
+    setVerification(null);
+    try {
+      const result = await verifyArchive(await file.arrayBuffer());
+      setVerification({ fileName: file.name, ...result });
+    } catch (err) {
+      setError('Failed to verify ZIP file: ' + err.message);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  // Encryption only applies to ZIP downloads
+  const activeEncryption = archiveFormat === 'zip' && encryption !== 'none' ? encryption : null;
+
   const handleGenerateZip = async () => {
     if (!parsedStructure) return;
 
+    const controller = new AbortController();
+    generationControllerRef.current = controller;
     setIsGenerating(true);
+    setGenerationProgress({ percent: 0, currentFile: null });
     try {
-      await generateZipFile(parsedStructure, jsonInput);
+      await generateZipFile(parsedStructure, jsonInput, 'converted-json.zip', {
+        ...getPlanOptions(),
+        format: archiveFormat,
+        encryption: activeEncryption,
+        password,
+        inputFormat: detectedFormat || inputFormat,
+        listingContent,
+        source: streamSource,
+        onProgress: setGenerationProgress,
+        signal: controller.signal
+      });
     } catch (err) {
-      setError('Failed to generate ZIP file: ' + err.message);
+      if (err.name !== 'AbortError') {
+        setError(`Failed to generate ${ARCHIVE_FORMATS[archiveFormat].label} file: ` + err.message);
+      }
     } finally {
+      generationControllerRef.current = null;
       setIsGenerating(false);
+      setGenerationProgress(null);
     }
   };
 
+  const handleCancelGenerate = () => {
+    generationControllerRef.current?.abort();
+  };
+
   const renderTreeNode = (node, level = 0) => {
     const indent = level * 20;
+    const sizes = parsedStructure?.compressionSummary?.[node.path];
     
     return (
       <motion.div
@@ -84,16 +472,36 @@ const Home = () => {
               <Badge variant="secondary" className="text-xs">
                 {node.children?.length || 0} items
               </Badge>
+              {sizes && sizes.size > 0 && (
+                <Badge variant="outline" className="text-xs" title="Uncompressed → estimated compressed size">
+                  {formatByteSize(sizes.size)} → ~{formatByteSize(sizes.compressedSize)}
+                </Badge>
+              )}
             </>
           ) : (
             <>
               <File className="h-4 w-4 text-gray-500" />
               <span className="text-gray-700">{node.name}</span>
-              {node.size && (
+              {node.size !== undefined && (
                 <Badge variant="outline" className="text-xs">
                   {node.size} bytes
                 </Badge>
               )}
+              {node.encoding === 'base64' && (
+                <Badge variant="secondary" className="text-xs">
+                  binary{node.mimeType ? ` · ${node.mimeType}` : ''}
+                </Badge>
+              )}
+              {node.compression?.method === 'STORE' && (
+                <Badge variant="secondary" className="text-xs">
+                  stored
+                </Badge>
+              )}
+              {node.mode !== undefined && (
+                <Badge variant="secondary" className="text-xs font-mono">
+                  {node.mode.toString(8)}
+                </Badge>
+              )}
             </>
           )}
         </div>
@@ -159,18 +567,162 @@ const Home = () => {
                 </CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
-                <Textarea
-                  placeholder="Enter your JSON structure here..."
-                  value={jsonInput}
-                  onChange={(e) => handleJsonChange(e.target.value)}
-                  className="min-h-[300px] font-mono text-sm"
-                />
+                <div className="flex items-center gap-2">
+                  <Label htmlFor="input-format" className="whitespace-nowrap">Input format</Label>
+                  <Select value={inputFormat} onValueChange={handleInputFormatChange}>
+                    <SelectTrigger id="input-format" className="w-[140px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="auto">Auto-detect</SelectItem>
+                      {Object.entries(INPUT_FORMATS).map(([value, format]) => (
+                        <SelectItem key={value} value={value}>
+                          {format.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  {shownFormat && (
+                    <Badge variant="secondary" title={INPUT_FORMATS[shownFormat].description}>
+                      {detectedFormat ? 'Read as' : 'Looks like'} {INPUT_FORMATS[shownFormat].label}
+                    </Badge>
+                  )}
+                  {shownFormat === 'listing' && (
+                    <Select value={listingContent} onValueChange={handleListingContentChange}>
+                      <SelectTrigger aria-label="File contents" className="w-[190px]">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(LISTING_CONTENT).map(([value, content]) => (
+                          <SelectItem key={value} value={value}>
+                            {content.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  )}
+                  {shownFormat && shownFormat !== 'json' && !streamSource && (
+                    <Button variant="outline" size="sm" className="ml-auto" onClick={handleConvertToJson}>
+                      Convert to JSON
+                    </Button>
+                  )}
+                </div>
+
+                {/* A file dropped on the editor is opened like one chosen with "Open file", a folder like "Open folder" */}
+                <div
+                  className="relative"
+                  onDragOver={handleEditorDragOver}
+                  onDragLeave={handleEditorDragLeave}
+                  onDrop={handleEditorDrop}
+                >
+                  <JsonEditor
+                    placeholder="Enter your JSON, YAML or TOML structure, Markdown with fenced code blocks or the output of tree, find or ls -R here, or drop a file or folder..."
+                    value={jsonInput}
+                    onChange={handleJsonChange}
+                    errors={syntaxErrors}
+                  />
+                  {isDragging && (
+                    <div className="pointer-events-none absolute inset-0 flex flex-col items-center justify-center gap-2 rounded-md border-2 border-dashed border-blue-400 bg-blue-50/90 text-blue-700">
+                      <FolderUp className="h-8 w-8" />
+                      <span className="text-sm font-medium">Drop a file to open it, or a folder to read it into JSON</span>
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <Label htmlFor="folder-ignore" className="whitespace-nowrap">Ignore</Label>
+                  <Input
+                    id="folder-ignore"
+                    value={ignoreList}
+                    onChange={(event) => setIgnoreList(event.target.value)}
+                    placeholder="node_modules, .git, *.log"
+                    className="h-8 text-xs"
+                  />
+                </div>
+
+                {folderStatus && (
+                  <p className={folderStatus.error ? 'text-xs text-red-600' : 'text-xs text-gray-600'}>
+                    {describeFolderStatus(folderStatus)}
+                  </p>
+                )}
+
+                {repair && (
+                  <RepairSuggestion repair={repair} original={jsonInput} onApply={handleJsonChange} />
+                )}
+
+                {inputWarnings.length > 0 && (
+                  <Alert>
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>
+                      <p>{inputWarnings.length} part{inputWarnings.length === 1 ? ' was' : 's were'} left out:</p>
+                      <ul className="mt-1 max-h-32 overflow-auto text-xs">
+                        {inputWarnings.map((warning, index) => (
+                          <li key={index}>Line {warning.line}: {warning.message}</li>
+                        ))}
+                      </ul>
+                    </AlertDescription>
+                  </Alert>
+                )}
+
+                {streamSource?.name && (
+                  <Alert>
+                    <FileJson className="h-4 w-4" />
+                    <AlertDescription>
+                      {streamSource.name} ({formatByteSize(streamSource.size)}) is too large for the editor,
+                      so it is read in chunks for the preview and again for the download.
+                    </AlertDescription>
+                  </Alert>
+                )}
                 
+                <div className="flex items-center space-x-2">
+                  <Switch
+                    id="expand-paths"
+                    checked={expandPaths}
+                    onCheckedChange={handleExpandPathsChange}
+                  />
+                  <Label htmlFor="expand-paths">
+                    Expand path keys (<code>src/components/Button.js</code>) into folders
+                  </Label>
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  <Switch
+                    id="include-manifest"
+                    checked={includeManifest}
+                    onCheckedChange={handleIncludeManifestChange}
+                  />
+                  <Label htmlFor="include-manifest">
+                    Add <code>_manifest.json</code> so the ZIP converts back to the exact JSON
+                  </Label>
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  <Switch
+                    id="reproducible"
+                    checked={reproducible}
+                    onCheckedChange={handleReproducibleChange}
+                  />
+                  <Label htmlFor="reproducible">
+                    Reproducible output (fixed timestamps, identical bytes for identical JSON)
+                  </Label>
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  <Switch
+                    id="include-checksums"
+                    checked={includeChecksums}
+                    onCheckedChange={handleIncludeChecksumsChange}
+                  />
+                  <Label htmlFor="include-checksums">
+                    Add <code>CHECKSUMS.sha256</code> and per-file hashes in <code>_metadata.json</code>
+                  </Label>
+                </div>
+
                 <div className="flex flex-col sm:flex-row gap-2">
                   <Button 
                     onClick={handleParseJson}
                     className="flex-1"
-                    disabled={!jsonInput.trim()}
+                    disabled={!jsonInput.trim() || streamProgress !== null}
                   >
                     <CheckCircle2 className="h-4 w-4 mr-2" />
                     Parse & Preview
@@ -182,8 +734,100 @@ const Home = () => {
                   >
                     Load Example
                   </Button>
+
+                  <Button
+                    variant="outline"
+                    onClick={() => jsonFileInputRef.current?.click()}
+                    disabled={streamProgress !== null}
+                  >
+                    <FileJson className="h-4 w-4 mr-2" />
+                    Open file
+                  </Button>
+                  <input
+                    ref={jsonFileInputRef}
+                    type="file"
+                    accept=".json,.jsonc,.json5,.yaml,.yml,.toml,.md,.markdown,application/json,application/yaml,application/toml,text/markdown"
+                    className="hidden"
+                    onChange={handleOpenJson}
+                  />
+
+                  <Button
+                    variant="outline"
+                    onClick={() => folderInputRef.current?.click()}
+                    disabled={folderStatus?.reading || streamProgress !== null}
+                  >
+                    <FolderOpen className="h-4 w-4 mr-2" />
+                    Open folder
+                  </Button>
+                  <input
+                    ref={folderInputRef}
+                    type="file"
+                    webkitdirectory=""
+                    multiple
+                    className="hidden"
+                    onChange={handleOpenFolder}
+                  />
+
+                  <Button
+                    variant="outline"
+                    onClick={() => zipInputRef.current?.click()}
+                    disabled={isImporting}
+                  >
+                    <Upload className="h-4 w-4 mr-2" />
+                    {isImporting ? 'Reading...' : 'Import ZIP'}
+                  </Button>
+                  <input
+                    ref={zipInputRef}
+                    type="file"
+                    accept=".zip,application/zip"
+                    className="hidden"
+                    onChange={handleImportZip}
+                  />
+
+                  <Button
+                    variant="outline"
+                    onClick={() => verifyInputRef.current?.click()}
+                    disabled={isVerifying}
+                  >
+                    <ShieldCheck className="h-4 w-4 mr-2" />
+                    {isVerifying ? 'Verifying...' : 'Verify ZIP'}
+                  </Button>
+                  <input
+                    ref={verifyInputRef}
+                    type="file"
+                    accept=".zip,application/zip"
+                    className="hidden"
+                    onChange={handleVerifyZip}
+                  />
                 </div>
 
+                {streamProgress !== null && (
+                  <div className="space-y-1">
+                    <Progress value={streamProgress} />
+                    <p className="text-xs text-gray-600">Reading JSON... {Math.floor(streamProgress)}%</p>
+                  </div>
+                )}
+
+                {verification && (
+                  <Alert variant={verification.valid ? 'default' : 'destructive'}>
+                    <ShieldCheck className="h-4 w-4" />
+                    <AlertDescription>
+                      <p className="font-medium">
+                        {verification.fileName}: {verification.valid
+                          ? `all ${verification.checked} files match ${verification.source}`
+                          : `does not match ${verification.source}`}
+                      </p>
+                      {!verification.valid && (
+                        <ul className="mt-1 space-y-0.5 text-xs font-mono">
+                          {verification.missing.map((path) => <li key={`missing-${path}`}>missing: {path}</li>)}
+                          {verification.modified.map(({ path }) => <li key={`modified-${path}`}>modified: {path}</li>)}
+                          {verification.extra.map((path) => <li key={`extra-${path}`}>extra: {path}</li>)}
+                        </ul>
+                      )}
+                    </AlertDescription>
+                  </Alert>
+                )}
+
                 <AnimatePresence>
                   {error && (
                     <motion.div
@@ -240,16 +884,139 @@ const Home = () => {
                         <Badge variant="secondary">
                           {parsedStructure?.stats?.totalFiles || 0} files, {parsedStructure?.stats?.totalFolders || 0} folders
                         </Badge>
-                        <Button
-                          onClick={handleGenerateZip}
-                          disabled={isGenerating || !parsedStructure}
-                          className="flex items-center gap-2"
-                        >
-                          <Download className="h-4 w-4" />
-                          {isGenerating ? 'Generating...' : 'Download ZIP'}
-                        </Button>
+                        <div className="flex items-center gap-2">
+                          <Select value={archiveFormat} onValueChange={setArchiveFormat}>
+                            <SelectTrigger className="w-[110px]">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {Object.entries(ARCHIVE_FORMATS).map(([value, format]) => (
+                                <SelectItem key={value} value={value}>
+                                  {format.extension}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                          <Button
+                            onClick={handleGenerateZip}
+                            disabled={isGenerating || streamProgress !== null || !parsedStructure || (activeEncryption && !password)}
+                            className="flex items-center gap-2"
+                          >
+                            <Download className="h-4 w-4" />
+                            {isGenerating ? 'Generating...' : `Download ${ARCHIVE_FORMATS[archiveFormat].label}`}
+                          </Button>
+                        </div>
                       </div>
-                      
+
+                      {generationProgress && (
+                        <div className="space-y-1">
+                          <div className="flex items-center gap-2">
+                            <Progress value={generationProgress.percent} className="flex-1" />
+                            <Button size="sm" variant="outline" onClick={handleCancelGenerate} className="flex items-center gap-1">
+                              <X className="h-3 w-3" />
+                              Cancel
+                            </Button>
+                          </div>
+                          <div className="flex justify-between gap-2 text-xs text-gray-600">
+                            <span className="font-mono truncate">
+                              {generationProgress.currentFile || (generationProgress.percent < 100 ? 'Preparing...' : 'Finishing...')}
+                            </span>
+                            <span>{Math.floor(generationProgress.percent)}%</span>
+                          </div>
+                        </div>
+                      )}
+
+                      {archiveFormat === 'zip' && (
+                        <div className="space-y-2">
+                          <div className="flex items-center gap-2">
+                            <Label htmlFor="encryption" className="whitespace-nowrap">Encryption</Label>
+                            <Select value={encryption} onValueChange={setEncryption}>
+                              <SelectTrigger id="encryption" className="w-[140px]">
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="none">None</SelectItem>
+                                {Object.entries(ENCRYPTION_METHODS).map(([value, method]) => (
+                                  <SelectItem key={value} value={value}>
+                                    {method.label}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                            {activeEncryption && (
+                              <Input
+                                type="password"
+                                placeholder="Password"
+                                autoComplete="new-password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                              />
+                            )}
+                          </div>
+                          {activeEncryption && (
+                            <Alert>
+                              <AlertCircle className="h-4 w-4" />
+                              <AlertDescription className="text-xs">
+                                {ENCRYPTION_METHODS[activeEncryption].warning}
+                              </AlertDescription>
+                            </Alert>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Streamed plans keep no entries, so only whole documents can be written to a folder */}
+                      <FolderOutput
+                        plan={streamSource ? null : parsedStructure?.plan}
+                        disabled={isGenerating || streamProgress !== null || !parsedStructure}
+                        onFallback={handleGenerateZip}
+                      />
+
+                      {(validation?.errors.length > 0 || validation?.hasWarnings) && (
+                        <Alert variant={validation.errors.length > 0 ? 'destructive' : 'default'}>
+                          <AlertCircle className="h-4 w-4" />
+                          <AlertDescription>
+                            <p className="font-medium">Structure issues:</p>
+                            <ul className="mt-1 space-y-0.5 text-xs">
+                              {[...validation.errors, ...validation.warnings].map((message) => (
+                                <li key={message} className="font-mono">{message}</li>
+                              ))}
+                            </ul>
+                          </AlertDescription>
+                        </Alert>
+                      )}
+
+                      {parsedStructure?.extensionMismatches?.length > 0 && (
+                        <Alert>
+                          <AlertCircle className="h-4 w-4" />
+                          <AlertDescription>
+                            <p className="font-medium">Extension does not match content:</p>
+                            <ul className="mt-1 space-y-0.5 text-xs">
+                              {parsedStructure.extensionMismatches.map((mismatch) => (
+                                <li key={mismatch.path} className="font-mono">
+                                  {mismatch.key} looks like {mismatch.detected}
+                                </li>
+                              ))}
+                            </ul>
+                          </AlertDescription>
+                        </Alert>
+                      )}
+
+                      {parsedStructure?.pathConflicts?.length > 0 && (
+                        <Alert variant="destructive">
+                          <AlertCircle className="h-4 w-4" />
+                          <AlertDescription>
+                            <p className="font-medium">Skipped conflicting path keys:</p>
+                            <ul className="mt-1 space-y-0.5 text-xs">
+                              {parsedStructure.pathConflicts.map((conflict) => (
+                                <li key={`${conflict.path}:${conflict.key}`} className="font-mono">
+                                  {conflict.key}: {conflict.reason}
+                                </li>
+                              ))}
+                            </ul>
+                          </AlertDescription>
+                        </Alert>
+                      )}
+
                       <Separator />
                       
                       <ScrollArea className="h-[300px] w-full">
@@ -257,6 +1024,12 @@ const Home = () => {
                           {parsedStructure?.tree && renderTreeNode(parsedStructure.tree)}
                         </div>
                       </ScrollArea>
+
+                      {parsedStructure?.previewTruncated && (
+                        <p className="text-xs text-gray-500">
+                          Showing the first {STREAM_PREVIEW_NODES} entries; the download contains all of them.
+                        </p>
+                      )}
                     </motion.div>
                   )}
                 </AnimatePresence>
@@ -265,6 +1038,41 @@ const Home = () => {
           </motion.div>
         </div>
 
+        {/* File Naming */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.5 }}
+          className="mt-8"
+        >
+          <FileNamingOptions
+            onConfigChange={handleNamingChange}
+            plan={parsedStructure?.plan}
+          />
+        </motion.div>
+
+        {/* Compression */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.55 }}
+          className="mt-8"
+        >
+          <CompressionOptions onPolicyChange={handleCompressionChange} />
+        </motion.div>
+
+        {/* NDJSON batch conversion */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.58 }}
+          className="mt-8"
+        >
+          <NdjsonBatch
+            options={{ ...getPlanOptions(), format: archiveFormat, encryption: activeEncryption, password }}
+          />
+        </motion.div>
+
         {/* Instructions */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}